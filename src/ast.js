@@ -3,6 +3,61 @@
  * Data structures for the xCDN format
  */
 
+import { parseDuration, parseDateTime, formatDuration, daysInMonth } from './temporal.js';
+import { Decimal, RoundingMode } from './decimal.js';
+import {
+  NIL_UUID, MAX_UUID, parseUuid, uuidToBytes, uuidFromBytes, uuidV4, uuidV7
+} from './uuid.js';
+import { getAt, setAt, deleteAt, ensurePath } from './pointer.js';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Symbol under which unwrap stores tags and annotations in 'symbol' mode
+ */
+export const DECORATIONS = Symbol.for('xcdn.decorations');
+
+/**
+ * Accepted values of the decorations unwrap option
+ */
+const DECORATION_MODES = ['drop', 'wrap', 'symbol'];
+
+/**
+ * Keys that can change an object's prototype, or reach a prototype when the
+ * object is later merged into another
+ */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Accepted values of the unsafeKeys unwrap option
+ */
+const UNSAFE_KEY_POLICIES = ['define', 'skip', 'error'];
+
+/**
+ * Options of unwrap
+ * @typedef {Object} UnwrapOptions
+ * @property {string} [integers] - Type of integers: 'bigint', 'number'
+ *   (large values lose precision) or 'auto' (number when it is a safe
+ *   integer, bigint otherwise). By default, as parsed (see ParseOptions)
+ * @property {string} [objects='object'] - Type of objects: 'object', 'null'
+ *   (objects without prototype) or 'map'
+ * @property {string} [unsafeKeys='define'] - What happens to the keys
+ *   `__proto__`, `constructor` and `prototype`: 'define' (kept as own
+ *   properties, never through the `__proto__` setter), 'skip' or 'error'
+ * @property {string} [decorations='drop'] - What happens to tags and
+ *   annotations: 'drop', 'wrap' (decorated values become `{value, tags,
+ *   annotations}`) or 'symbol' (stored under the DECORATIONS symbol of
+ *   object and array results; other decorated values are wrapped)
+ * @property {(value: DecimalValue) => *} [decimal] - Maps decimals (default:
+ *   their string)
+ * @property {(value: Uuid) => *} [uuid] - Maps UUIDs (default: their string)
+ * @property {(value: Duration) => *} [duration] - Maps durations (default:
+ *   their string)
+ */
+
 /**
  * Main xCDN document
  */
@@ -14,6 +69,8 @@ export class Document {
   constructor(prolog = [], values = []) {
     this.prolog = prolog;
     this.values = values;
+    this.source = null; // Parsed text, kept when parsing with trivia
+    this.trivia = null; // Comments after the last value, kept when parsing with trivia
   }
 
   /**
@@ -35,11 +92,13 @@ export class Document {
    * Set dict-like
    * @param {string} key
    * @param {*} value
+   * @throws {TypeError} If the first value is not an object (see setAt)
    */
   set(key, value) {
-    if (this.values.length > 0 && this.values[0].value instanceof XObject) {
-      this.values[0].value.set(key, value);
+    if (this.values.length === 0 || !(this.values[0].value instanceof XObject)) {
+      throw new TypeError(`Cannot set ${JSON.stringify(key)}: the document does not start with an object`);
     }
+    this.values[0].value.set(key, value);
   }
 
   /**
@@ -53,12 +112,67 @@ export class Document {
     return false;
   }
 
+  /**
+   * Gets the node an RFC 6901 pointer refers to (see pointer.js)
+   * @param {string} pointer - e.g. `/server_config/ports/1`
+   * @param {Object} [options]
+   * @param {number|string} [options.root=0] - Where the pointer starts: the
+   *   index of a top-level value or the name of a directive (`'schema'`)
+   * @returns {Node|undefined} Undefined when a key or index is missing
+   * @throws {PointerError} If the pointer is malformed or steps into a value
+   *   that is not an object or array
+   */
+  at(pointer, options = {}) {
+    return getAt(this, pointer, options);
+  }
+
+  /**
+   * Sets the node a pointer refers to, replacing or adding it
+   * @param {string} pointer
+   * @param {*} value - Node, value, or plain value converted with fromJS
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false] - Create missing containers on the way
+   * @param {number|string} [options.root=0] - Where the pointer starts
+   * @returns {Node} The node set
+   * @throws {PointerError} Naming the segment that could not be reached
+   */
+  setAt(pointer, value, options = {}) {
+    return setAt(this, pointer, value, options);
+  }
+
+  /**
+   * Removes the node a pointer refers to
+   * @param {string} pointer
+   * @param {Object} [options]
+   * @param {number|string} [options.root=0] - Where the pointer starts
+   * @returns {Node} The removed node
+   * @throws {PointerError} If there is nothing to remove
+   */
+  deleteAt(pointer, options = {}) {
+    return deleteAt(this, pointer, options);
+  }
+
+  /**
+   * Creates the containers a pointer goes through, and an empty object at
+   * its end if nothing is there
+   * @param {string} pointer
+   * @param {Object} [options]
+   * @param {number|string} [options.root=0] - Where the pointer starts
+   * @returns {Node} The node the pointer refers to
+   * @throws {PointerError} If the pointer steps into a value that is not an
+   *   object or array
+   */
+  ensurePath(pointer, options = {}) {
+    return ensurePath(this, pointer, options);
+  }
+
   /**
    * Unwrap to raw JS value (delegates to first value's unwrap for implicit-object documents)
+   * @param {UnwrapOptions} [options]
    */
-  unwrap() {
+  unwrap(options = {}) {
     if (this.values.length > 0) {
-      return this.values[0].unwrap();
+      return this.values[0].unwrap(options);
     }
     return undefined;
   }
@@ -75,6 +189,8 @@ export class Directive {
   constructor(name, value) {
     this.name = name;
     this.value = value;
+    this.range = null; // Source range, set by the parser
+    this.trivia = null; // Surrounding comments, kept when parsing with trivia
   }
 }
 
@@ -91,6 +207,8 @@ export class Node {
     this.tags = tags;
     this.annotations = annotations;
     this.value = value;
+    this.range = null; // Source range including decorations, set by the parser
+    this.trivia = null; // Surrounding comments, kept when parsing with trivia
   }
 
   // Dict-like methods delegated to the value
@@ -157,12 +275,34 @@ export class Node {
 
   /**
    * Unwrap to raw JS value (delegates to this.value.unwrap())
+   * @param {UnwrapOptions} [options]
    */
-  unwrap() {
-    if (this.value && typeof this.value.unwrap === 'function') {
-      return this.value.unwrap();
+  unwrap(options = {}) {
+    const mode = options.decorations ?? 'drop';
+    if (!DECORATION_MODES.includes(mode)) {
+      throw new Error(`Invalid decorations mode: ${mode}`);
     }
-    return this.value;
+    const value = this.value && typeof this.value.unwrap === 'function'
+      ? this.value.unwrap(options)
+      : this.value;
+    if (mode === 'drop' || (this.tags.length === 0 && this.annotations.length === 0)) {
+      return value;
+    }
+
+    const decorations = {
+      tags: this.tags.map(tag => tag.name),
+      annotations: this.annotations.map(annotation => ({
+        name: annotation.name,
+        args: annotation.args.map(arg => arg.unwrap(options)),
+      })),
+    };
+    // Only objects and arrays unwrap to fresh containers; a Date or
+    // Uint8Array is the document's own and must not be written to
+    if (mode === 'symbol' && (this.value instanceof XObject || this.value instanceof XArray)) {
+      value[DECORATIONS] = decorations;
+      return value;
+    }
+    return { value, ...decorations };
   }
 }
 
@@ -175,6 +315,7 @@ export class Tag {
    */
   constructor(name) {
     this.name = name;
+    this.range = null; // Source range, set by the parser
   }
 }
 
@@ -189,7 +330,23 @@ export class Annotation {
   constructor(name, args = []) {
     this.name = name;
     this.args = args;
+    this.range = null; // Source range, set by the parser
+  }
+}
+
+/**
+ * Wraps a replacement in a Node if needed, keeping the comments of the
+ * node it replaces
+ * @param {Node|undefined} previous - Node being replaced
+ * @param {*} val - New node or value
+ * @returns {Node}
+ */
+function carryTrivia(previous, val) {
+  const node = val instanceof Node ? val : new Node([], [], val);
+  if (previous && node.trivia === null) {
+    node.trivia = previous.trivia;
   }
+  return node;
 }
 
 // ============== VALUE TYPES ==============
@@ -202,6 +359,7 @@ export class ValueType {
     if (new.target === ValueType) {
       throw new Error('ValueType is abstract');
     }
+    this.range = null; // Source range without decorations, set by the parser
   }
 }
 
@@ -241,14 +399,41 @@ export class Bool extends ValueType {
 export class Int extends ValueType {
   /**
    * @param {number|bigint} value
+   * @param {number} [radix=10] - Base the literal is written in: 2, 8, 10 or 16
    */
-  constructor(value) {
+  constructor(value, radix = 10) {
     super();
+    // A number only when parsed with the integers option set to 'number' or 'auto'
     this.value = typeof value === 'bigint' ? value : BigInt(Math.trunc(value));
+    this.radix = radix;
+    this.lexeme = null; // Source spelling, kept when parsing with keepLexemes
   }
 
-  unwrap() {
-    return this.value;
+  /**
+   * @param {UnwrapOptions} [options]
+   * @returns {bigint|number} The value as stored unless options.integers is set
+   */
+  unwrap(options = {}) {
+    return options.integers === undefined ? this.value : Int.convert(this.value, options.integers);
+  }
+
+  /**
+   * Converts an integer to the type of an integers mode
+   * @param {bigint|number} value
+   * @param {string} mode - 'bigint', 'number' or 'auto'
+   * @returns {bigint|number}
+   */
+  static convert(value, mode) {
+    switch (mode) {
+      case 'bigint':
+        return BigInt(value);
+      case 'number':
+        return Number(value);
+      case 'auto':
+        return Number.isSafeInteger(Number(value)) ? Number(value) : BigInt(value);
+      default:
+        throw new Error(`Invalid integers mode: ${mode}`);
+    }
   }
 }
 
@@ -257,11 +442,12 @@ export class Int extends ValueType {
  */
 export class Float extends ValueType {
   /**
-   * @param {number} value
+   * @param {number} value - May be NaN or ±Infinity (written nan, inf, -inf)
    */
   constructor(value) {
     super();
     this.value = value;
+    this.lexeme = null; // Source spelling, kept when parsing with keepLexemes
   }
 
   unwrap() {
@@ -274,15 +460,20 @@ export class Float extends ValueType {
  */
 export class DecimalValue extends ValueType {
   /**
-   * @param {string} value - String representation of the decimal
+   * @param {string|Decimal} value - Decimal, or its string representation
+   * @throws {SyntaxError} If value is not a valid decimal
    */
   constructor(value) {
     super();
-    this.value = value; // Keep as string for precision
+    this.decimal = value instanceof Decimal ? value : Decimal.parse(value);
+    this.value = String(value); // Keep the spelling, and with it the scale
   }
 
-  unwrap() {
-    return this.value;
+  /**
+   * @param {UnwrapOptions} [options]
+   */
+  unwrap(options = {}) {
+    return options.decimal ? options.decimal(this) : this.value;
   }
 }
 
@@ -320,16 +511,108 @@ export class Bytes extends ValueType {
   }
 }
 
+/**
+ * Converts a written UTC offset to minutes
+ * @param {string} offset - 'Z', '+hh:mm' or '-hh:mm'
+ * @returns {number}
+ */
+function offsetMinutes(offset) {
+  if (offset === 'Z') return 0;
+  const minutes = Number(offset.slice(1, 3)) * 60 + Number(offset.slice(4, 6));
+  return offset[0] === '-' ? -minutes : minutes;
+}
+
 /**
  * Datetime value (t"...")
+ *
+ * Keeps the written UTC offset and every fraction digit, so parsed values
+ * serialize back unchanged. `value` is the instant, to the millisecond.
  */
 export class DateTime extends ValueType {
   /**
-   * @param {Date} value
+   * @param {Date} value - Instant
+   * @param {string} [offset='Z'] - Offset to write the instant with: 'Z',
+   *   '+hh:mm' or '-hh:mm'
+   * @param {string} [fraction] - Digits of the fraction of a second;
+   *   defaults to the milliseconds of value
    */
-  constructor(value) {
+  constructor(value, offset = 'Z', fraction = null) {
     super();
     this.value = value;
+    this.offset = offset;
+    this.fraction = fraction ?? String(value.getUTCMilliseconds()).padStart(3, '0');
+  }
+
+  /**
+   * Parses an RFC 3339 date-time
+   * @param {string} str
+   * @returns {DateTime}
+   * @throws {SyntaxError} If str is not a valid date-time, with the index of
+   *   the first offending character
+   */
+  static parse(str) {
+    const fields = parseDateTime(str);
+    const date = new Date(0);
+    date.setUTCFullYear(fields.year, fields.month - 1, fields.day);
+    date.setUTCHours(
+      fields.hour, fields.minute, fields.second, Number(fields.fraction.padEnd(3, '0').slice(0, 3))
+    );
+    const instant = new Date(date.getTime() - offsetMinutes(fields.offset) * MS_PER_MINUTE);
+    return new DateTime(instant, fields.offset, fields.fraction);
+  }
+
+  /**
+   * The point in time, to the millisecond
+   * @returns {Date}
+   */
+  get instant() {
+    return this.value;
+  }
+
+  /**
+   * Offset from UTC in minutes
+   * @returns {number}
+   */
+  get offsetMinutes() {
+    return offsetMinutes(this.offset);
+  }
+
+  /**
+   * Wall-clock date and time at the kept offset
+   * @returns {{year: number, month: number, day: number, hour: number,
+   *   minute: number, second: number, fraction: string}}
+   */
+  get local() {
+    const shifted = new Date(this.value.getTime() + this.offsetMinutes * MS_PER_MINUTE);
+    // The kept digits only apply while they agree with the instant
+    const millis = shifted.getUTCMilliseconds();
+    const fraction = Number(this.fraction.padEnd(3, '0').slice(0, 3)) === millis
+      ? this.fraction
+      : String(millis).padStart(3, '0');
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes(),
+      second: shifted.getUTCSeconds(),
+      fraction,
+    };
+  }
+
+  /**
+   * Formats as RFC 3339 with the kept offset and fraction digits
+   * @returns {string}
+   */
+  toString() {
+    const { year, month, day, hour, minute, second, fraction } = this.local;
+    if (year < 0 || year > 9999) {
+      return this.value.toISOString();
+    }
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(year, 4)}-${pad(month)}-${pad(day)}` +
+      `T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+      (fraction ? `.${fraction}` : '') + this.offset;
   }
 
   unwrap() {
@@ -337,21 +620,333 @@ export class DateTime extends ValueType {
   }
 }
 
+/**
+ * Signed length of the weeks, days and time parts of a duration
+ * @param {Duration} duration
+ * @returns {number}
+ */
+function elapsedMilliseconds(duration) {
+  const ms = (duration.weeks * 7 + duration.days) * MS_PER_DAY +
+    duration.hours * MS_PER_HOUR +
+    duration.minutes * MS_PER_MINUTE +
+    duration.seconds * MS_PER_SECOND;
+  return duration.negative ? -ms : ms;
+}
+
+const SECONDS_PER_MINUTE = 60n;
+const SECONDS_PER_HOUR = 3600n;
+const SECONDS_PER_DAY = 86400n;
+
+/**
+ * Signed number of months in the years and months of a duration
+ * @param {Duration} duration
+ * @returns {bigint}
+ */
+function calendarMonths(duration) {
+  const { years, months } = duration.exact;
+  const total = years * 12n + months;
+  return duration.negative ? -total : total;
+}
+
+/**
+ * Signed exact length of the weeks, days and time parts of a duration
+ * @param {Duration} duration
+ * @returns {Decimal} Seconds
+ */
+function fixedSeconds(duration) {
+  const { weeks, days, hours, minutes } = duration.exact;
+  const whole = (weeks * 7n + days) * SECONDS_PER_DAY + hours * SECONDS_PER_HOUR + minutes * SECONDS_PER_MINUTE;
+  const seconds = duration.exact.seconds.add(whole);
+  return duration.negative ? seconds.neg() : seconds;
+}
+
+/**
+ * Builds a balanced duration: months carried into years, seconds into
+ * minutes, hours and days
+ * @param {bigint} months - Signed calendar months
+ * @param {Decimal} seconds - Signed fixed-length seconds
+ * @returns {Duration}
+ * @throws {RangeError} If the parts have opposite signs, which ISO 8601
+ *   cannot write
+ */
+function balancedDuration(months, seconds) {
+  if ((months < 0n && seconds.sign > 0) || (months > 0n && seconds.sign < 0)) {
+    throw new RangeError(`Cannot write ${months} months and ${seconds} seconds as one duration`);
+  }
+  const negative = months < 0n || seconds.sign < 0;
+  const totalMonths = months < 0n ? -months : months;
+  const total = seconds.abs();
+  const whole = total.round(0, RoundingMode.Floor).coefficient;
+  return new Duration(formatDuration({
+    negative,
+    years: totalMonths / 12n,
+    months: totalMonths % 12n,
+    weeks: 0n,
+    days: whole / SECONDS_PER_DAY,
+    hours: whole % SECONDS_PER_DAY / SECONDS_PER_HOUR,
+    minutes: whole % SECONDS_PER_HOUR / SECONDS_PER_MINUTE,
+    seconds: total.sub(whole - whole % SECONDS_PER_MINUTE).normalize().toString(),
+  }));
+}
+
 /**
  * Duration value (r"...")
+ *
+ * Keeps the literal as written in `value`; `toCanonical()` gives the form
+ * the serializer writes. The components are numbers for convenience, which
+ * lose precision above 2^53; `exact` holds them as BigInts, with the seconds
+ * as a Decimal, and arithmetic uses those. Years and months are calendar
+ * units, whose length depends on the date they are added to. Weeks are 7
+ * days and days 24 hours, as datetimes have fixed offsets.
  */
 export class Duration extends ValueType {
   /**
    * @param {string} value - ISO8601 duration as string
+   * @throws {SyntaxError} If value is not a valid duration
    */
   constructor(value) {
     super();
     this.value = value;
+    const parts = parseDuration(value);
+    this.negative = parts.negative;
+    this.years = Number(parts.years);
+    this.months = Number(parts.months);
+    this.weeks = Number(parts.weeks);
+    this.days = Number(parts.days);
+    this.hours = Number(parts.hours);
+    this.minutes = Number(parts.minutes);
+    this.seconds = Number(parts.seconds); // May be fractional
+    this.fraction = parts.seconds.split('.')[1] ?? ''; // Fraction digits of the seconds as written
+    this.exact = {
+      years: BigInt(parts.years),
+      months: BigInt(parts.months),
+      weeks: BigInt(parts.weeks),
+      days: BigInt(parts.days),
+      hours: BigInt(parts.hours),
+      minutes: BigInt(parts.minutes),
+      seconds: Decimal.parse(parts.seconds),
+    };
   }
 
-  unwrap() {
+  /**
+   * Parses an ISO 8601 duration
+   * @param {string} str
+   * @returns {Duration}
+   * @throws {SyntaxError} If str is not a valid duration, with the index of
+   *   the first offending character
+   */
+  static parse(str) {
+    return new Duration(str);
+  }
+
+  /**
+   * Builds a duration from its components
+   * @param {{negative?: boolean, years?: number|bigint, months?: number|bigint,
+   *   weeks?: number|bigint, days?: number|bigint, hours?: number|bigint,
+   *   minutes?: number|bigint, seconds?: number|string|Decimal}} parts -
+   *   Non-negative components; only seconds may be fractional
+   * @returns {Duration} In canonical form
+   * @throws {RangeError} On negative, fractional or unsafe number components
+   */
+  static from(parts) {
+    const fields = { negative: Boolean(parts.negative) };
+    for (const name of ['years', 'months', 'weeks', 'days', 'hours', 'minutes']) {
+      const value = parts[name] ?? 0;
+      const valid = typeof value === 'bigint' ? value >= 0n : Number.isSafeInteger(value) && value >= 0;
+      if (!valid) {
+        throw new RangeError(`Invalid duration ${name}: ${value}`);
+      }
+      fields[name] = BigInt(value);
+    }
+    const seconds = Decimal.from(parts.seconds ?? 0);
+    if (seconds.sign < 0) {
+      throw new RangeError(`Invalid duration seconds: ${seconds}`);
+    }
+    fields.seconds = seconds.normalize().toString();
+    return new Duration(formatDuration(fields));
+  }
+
+  /**
+   * The seconds component without rounding, the same as `exact.seconds`
+   * @returns {Decimal}
+   */
+  get exactSeconds() {
+    return this.exact.seconds;
+  }
+
+  /**
+   * @returns {number} -1, 0 or 1
+   */
+  get sign() {
+    if (calendarMonths(this) === 0n && fixedSeconds(this).isZero()) {
+      return 0;
+    }
+    return this.negative ? -1 : 1;
+  }
+
+  /**
+   * The same components with the opposite sign
+   * @returns {Duration}
+   */
+  negate() {
+    return new Duration(formatDuration({
+      ...this.exact, negative: !this.negative, seconds: this.exact.seconds.normalize().toString(),
+    }));
+  }
+
+  /**
+   * @returns {Duration}
+   */
+  abs() {
+    return this.negative ? this.negate() : this;
+  }
+
+  /**
+   * Balances the components: 12 months make a year, weeks become days and
+   * seconds carry into minutes, hours and days (`P14M1W` gives `P1Y2M7D`,
+   * `PT90M` gives `PT1H30M`). Months never carry into days.
+   * @returns {Duration}
+   */
+  normalize() {
+    return balancedDuration(calendarMonths(this), fixedSeconds(this));
+  }
+
+  /**
+   * Sum of two durations, balanced like normalize()
+   * @param {Duration|string} other
+   * @returns {Duration}
+   * @throws {RangeError} If the calendar and fixed parts of the result have
+   *   opposite signs (`P1M` plus `-P1D`)
+   */
+  add(other) {
+    const b = other instanceof Duration ? other : new Duration(other);
+    return balancedDuration(calendarMonths(this) + calendarMonths(b), fixedSeconds(this).add(fixedSeconds(b)));
+  }
+
+  /**
+   * Difference of two durations, balanced like normalize()
+   * @param {Duration|string} other
+   * @returns {Duration}
+   * @throws {RangeError} If the calendar and fixed parts of the result have
+   *   opposite signs
+   */
+  sub(other) {
+    const b = other instanceof Duration ? other : new Duration(other);
+    return this.add(b.negate());
+  }
+
+  /**
+   * Compares lengths. Durations with years or months are compared by the
+   * points in time they reach from relativeTo, unless both are whole months.
+   * @param {Duration|string} other
+   * @param {DateTime} [relativeTo] - Start for calendar units
+   * @returns {number} -1, 0 or 1
+   * @throws {RangeError} If calendar units need a relativeTo that is missing
+   */
+  compare(other, relativeTo) {
+    const b = other instanceof Duration ? other : new Duration(other);
+    const monthsA = calendarMonths(this);
+    const monthsB = calendarMonths(b);
+    const secondsA = fixedSeconds(this);
+    const secondsB = fixedSeconds(b);
+    if (monthsA === monthsB) {
+      return secondsA.compare(secondsB);
+    }
+    if (secondsA.isZero() && secondsB.isZero()) {
+      return monthsA < monthsB ? -1 : 1;
+    }
+    if (!relativeTo) {
+      throw new RangeError(`Comparing ${this.value} with ${b.value} needs a relativeTo date-time`);
+    }
+    const a = this.addTo(relativeTo);
+    const c = b.addTo(relativeTo);
+    const diff = a.value.getTime() - c.value.getTime();
+    if (diff !== 0) {
+      return Math.sign(diff);
+    }
+    // Same millisecond: the fraction digits decide
+    return Decimal.parse(`0.${a.fraction}`).compare(`0.${c.fraction}`);
+  }
+
+  /**
+   * Canonical spelling: the written components without a `+` sign, zero
+   * components, leading zeros or trailing fraction zeros (`+P0Y1M` gives
+   * `P1M`, `PT1,50S` gives `PT1.5S`)
+   * @returns {string}
+   */
+  toCanonical() {
+    return formatDuration({
+      ...this.exact, negative: this.negative, seconds: this.exact.seconds.normalize().toString(),
+    });
+  }
+
+  /**
+   * The duration as written
+   * @returns {string}
+   */
+  toString() {
     return this.value;
   }
+
+  /**
+   * Total length in milliseconds, counting weeks as 7 days and days as 24 hours
+   * @returns {number}
+   * @throws {RangeError} If the duration has years or months, whose length
+   *   depends on the date they are added to
+   */
+  toMilliseconds() {
+    if (this.years !== 0 || this.months !== 0) {
+      throw new RangeError(`Duration ${this.value} has no fixed length in milliseconds`);
+    }
+    return elapsedMilliseconds(this);
+  }
+
+  /**
+   * Adds the duration to a point in time. Years and months move the calendar
+   * date at the datetime's offset, keeping the day of month unless the month
+   * is shorter (January 31 plus one month is February 28, or 29 in leap
+   * years). The rest is added as elapsed time, exactly to the fraction
+   * digits of both.
+   * @param {DateTime} dateTime
+   * @returns {DateTime} At the same offset
+   */
+  addTo(dateTime) {
+    const local = dateTime.local;
+    const month = local.year * 12 + (local.month - 1) + Number(calendarMonths(this));
+    const year = Math.floor(month / 12);
+    const monthIndex = month - year * 12;
+    const date = new Date(0);
+    date.setUTCFullYear(year, monthIndex, Math.min(local.day, daysInMonth(year, monthIndex + 1)));
+    date.setUTCHours(local.hour, local.minute, local.second);
+
+    // Whole seconds are added to the date, the rest kept as fraction digits
+    const scale = Math.max(local.fraction.length, this.fraction.length);
+    const seconds = Decimal.parse(`0.${local.fraction}`).add(fixedSeconds(this)).round(scale);
+    const whole = seconds.round(0, RoundingMode.Floor);
+    const subsecond = seconds.sub(whole);
+    const fraction = scale === 0 ? '' : subsecond.scaledTo(scale).toString().padStart(scale, '0');
+
+    const millis = Number(whole.coefficient) * MS_PER_SECOND + Number(fraction.padEnd(3, '0').slice(0, 3));
+    const instant = new Date(date.getTime() + millis - dateTime.offsetMinutes * MS_PER_MINUTE);
+    return new DateTime(instant, dateTime.offset, fraction);
+  }
+
+  /**
+   * Subtracts the duration from a point in time, with the calendar rules of
+   * addTo
+   * @param {DateTime} dateTime
+   * @returns {DateTime} At the same offset
+   */
+  subtractFrom(dateTime) {
+    return this.negate().addTo(dateTime);
+  }
+
+  /**
+   * @param {UnwrapOptions} [options]
+   */
+  unwrap(options = {}) {
+    return options.duration ? options.duration(this) : this.value;
+  }
 }
 
 /**
@@ -359,16 +954,106 @@ export class Duration extends ValueType {
  */
 export class Uuid extends ValueType {
   /**
-   * @param {string} value - UUID as string
+   * @param {string} value - UUID as string, in any case
+   * @throws {SyntaxError} If value is not a valid UUID
    */
   constructor(value) {
     super();
-    this.value = value;
+    this.value = parseUuid(value); // Lowercase
   }
 
-  unwrap() {
+  /**
+   * @param {Uint8Array} bytes - 16 bytes, in network order
+   * @returns {Uuid}
+   * @throws {TypeError} If bytes is not a Uint8Array of length 16
+   */
+  static fromBytes(bytes) {
+    return new Uuid(uuidFromBytes(bytes));
+  }
+
+  /**
+   * Generates a random (version 4) UUID
+   * @returns {Uuid}
+   */
+  static v4() {
+    return new Uuid(uuidV4());
+  }
+
+  /**
+   * Generates a time-ordered (version 7) UUID; those generated later sort
+   * after those generated earlier
+   * @returns {Uuid}
+   */
+  static v7() {
+    return new Uuid(uuidV7());
+  }
+
+  /**
+   * Version from the version field: 4 for random UUIDs, 7 for time-ordered
+   * ones; 0 for the nil UUID and 15 for the max UUID
+   * @returns {number}
+   */
+  get version() {
+    return parseInt(this.value[14], 16);
+  }
+
+  /**
+   * Layout named by the variant field: 'ncs', 'rfc4122' (the layout of
+   * RFC 4122 and RFC 9562, used by versions 1 to 8), 'microsoft' or 'future'
+   * @returns {string}
+   */
+  get variant() {
+    const bits = parseInt(this.value[19], 16);
+    if (bits < 0x8) return 'ncs';
+    if (bits < 0xC) return 'rfc4122';
+    if (bits < 0xE) return 'microsoft';
+    return 'future';
+  }
+
+  /**
+   * @returns {boolean} Whether this is the nil UUID, all bits zero
+   */
+  isNil() {
+    return this.value === NIL_UUID;
+  }
+
+  /**
+   * @returns {boolean} Whether this is the max UUID, all bits one
+   */
+  isMax() {
+    return this.value === MAX_UUID;
+  }
+
+  /**
+   * @returns {Uint8Array} The 16 bytes, in network order
+   */
+  toBytes() {
+    return uuidToBytes(this.value);
+  }
+
+  /**
+   * Compares in byte order, which sorts version 7 UUIDs by time
+   * @param {Uuid|string} other
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    const b = other instanceof Uuid ? other.value : parseUuid(other);
+    return this.value < b ? -1 : this.value > b ? 1 : 0;
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
     return this.value;
   }
+
+  /**
+   * @param {UnwrapOptions} [options]
+   */
+  unwrap(options = {}) {
+    return options.uuid ? options.uuid(this) : this.value;
+  }
 }
 
 /**
@@ -381,14 +1066,25 @@ export class XArray extends ValueType {
   constructor(value = []) {
     super();
     this.value = value;
+    this.trivia = null; // Comments before the closing bracket, kept when parsing with trivia
   }
 
   get(index) {
     return this.value[index];
   }
 
+  /**
+   * Replaces an item, or appends one at index length
+   * @param {number} index
+   * @param {*} val
+   * @throws {RangeError} If index is not between 0 and length, which would
+   *   leave holes
+   */
   set(index, val) {
-    this.value[index] = val;
+    if (!Number.isInteger(index) || index < 0 || index > this.value.length) {
+      throw new RangeError(`Index ${index} out of range for an array of length ${this.value.length}`);
+    }
+    this.value[index] = carryTrivia(this.value[index], val);
   }
 
   get length() {
@@ -404,8 +1100,12 @@ export class XArray extends ValueType {
     }
   }
 
-  unwrap() {
-    return this.value.map(node => node.unwrap());
+  /**
+   * @param {UnwrapOptions} [options]
+   * @returns {Array}
+   */
+  unwrap(options = {}) {
+    return this.value.map(node => node.unwrap(options));
   }
 
   [Symbol.iterator]() {
@@ -427,6 +1127,8 @@ export class XObject extends ValueType {
     } else {
       this.value = new Map(Object.entries(value));
     }
+    this.keyRanges = new Map(); // Key -> source range of the key, set by the parser
+    this.trivia = null; // Comments before the closing brace, kept when parsing with trivia
   }
 
   get(key, defaultValue = undefined) {
@@ -434,12 +1136,7 @@ export class XObject extends ValueType {
   }
 
   set(key, val) {
-    // Wrap in Node if not already
-    if (val instanceof Node) {
-      this.value.set(key, val);
-    } else {
-      this.value.set(key, new Node([], [], val));
-    }
+    this.value.set(key, carryTrivia(this.value.get(key), val));
   }
 
   has(key) {
@@ -462,10 +1159,42 @@ export class XObject extends ValueType {
     return Array.from(this.value.entries());
   }
 
-  unwrap() {
-    const result = {};
+  /**
+   * @param {UnwrapOptions} [options]
+   * @returns {Object|Map}
+   */
+  unwrap(options = {}) {
+    const objects = options.objects ?? 'object';
+    const policy = options.unsafeKeys ?? 'define';
+    if (!UNSAFE_KEY_POLICIES.includes(policy)) {
+      throw new Error(`Invalid unsafeKeys policy: ${policy}`);
+    }
+    let result;
+    if (objects === 'map') {
+      result = new Map();
+    } else if (objects === 'object' || objects === 'null') {
+      result = objects === 'null' ? Object.create(null) : {};
+    } else {
+      throw new Error(`Invalid objects mode: ${objects}`);
+    }
+
     for (const [key, node] of this.value.entries()) {
-      result[key] = node.unwrap();
+      const unsafe = UNSAFE_KEYS.has(key);
+      if (unsafe && policy === 'skip') {
+        continue;
+      }
+      if (unsafe && policy === 'error') {
+        const range = this.keyRanges.get(key);
+        throw new Error(`Unsafe object key: ${key}` + (range ? ` at ${range.start}` : ''));
+      }
+      const value = node.unwrap(options);
+      if (result instanceof Map) {
+        result.set(key, value);
+      } else if (unsafe) {
+        Object.defineProperty(result, key, { value, writable: true, enumerable: true, configurable: true });
+      } else {
+        result[key] = value;
+      }
     }
     return result;
   }
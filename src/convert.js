@@ -0,0 +1,190 @@
+/**
+ * xCDN Convert Module
+ * Conversion of plain JavaScript values into xCDN documents
+ */
+
+import {
+  Document, Directive, Node, Tag, Annotation, ValueType,
+  Null, Bool, Int, Float, DecimalValue, XString, Bytes, DateTime, XArray, XObject
+} from './ast.js';
+import { Decimal } from './decimal.js';
+
+/**
+ * Decorations to attach to a converted value
+ * @typedef {Object} Decorations
+ * @property {(string|Tag)[]} [tags] - Tag names or tags
+ * @property {({name: string, args?: *[]}|Annotation)[]} [annotations] -
+ *   Annotations; plain arguments are converted like values
+ */
+
+/**
+ * Options of fromJS
+ * @typedef {Object} FromJSOptions
+ * @property {(value: *, path: (string|number)[]) => (Decorations|undefined)} [decorate] -
+ *   Called with each value before conversion and the keys leading to it
+ * @property {Object<string, *>} [prolog] - Directives to write before the
+ *   value, by name (`{schema: '...'}` gives `$schema: "..."`)
+ */
+
+/**
+ * Converts values, remembering the containers being converted to detect cycles
+ */
+class Converter {
+  /**
+   * @param {FromJSOptions} options
+   */
+  constructor(options) {
+    this.decorate = options.decorate ?? null;
+    this.ancestors = new Set();
+  }
+
+  /**
+   * Converts a value and its decorations
+   * @param {*} value
+   * @param {(string|number)[]} path
+   * @returns {Node}
+   */
+  node(value, path) {
+    if (value instanceof Node) {
+      return value;
+    }
+    const node = new Node([], [], this.value(value, path));
+    const decorations = this.decorate?.(value, path);
+    if (decorations) {
+      for (const tag of decorations.tags ?? []) {
+        node.tags.push(tag instanceof Tag ? tag : new Tag(tag));
+      }
+      for (const annotation of decorations.annotations ?? []) {
+        node.annotations.push(annotation instanceof Annotation
+          ? annotation
+          : new Annotation(annotation.name, (annotation.args ?? []).map(arg => this.value(arg, path))));
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Converts a value without decorations
+   * @param {*} value
+   * @param {(string|number)[]} path
+   * @returns {ValueType}
+   */
+  value(value, path) {
+    if (value instanceof ValueType) {
+      return value;
+    }
+    if (value instanceof Node) {
+      return value.value;
+    }
+    switch (typeof value) {
+      case 'boolean':
+        return new Bool(value);
+      case 'number':
+        return Number.isInteger(value) ? new Int(value) : new Float(value);
+      case 'bigint':
+        return new Int(value);
+      case 'string':
+        return new XString(value);
+    }
+    if (value === null) {
+      return new Null();
+    }
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) {
+        throw new TypeError(`Invalid Date at ${formatPath(path)}`);
+      }
+      return new DateTime(value);
+    }
+    if (value instanceof Uint8Array) {
+      return new Bytes(new Uint8Array(value));
+    }
+    if (value instanceof Decimal) {
+      return new DecimalValue(value);
+    }
+    if (typeof value !== 'object') {
+      throw new TypeError(`Cannot convert ${typeof value} at ${formatPath(path)} to xCDN`);
+    }
+    if (typeof value.toJSON === 'function') {
+      return this.value(value.toJSON(), path);
+    }
+
+    if (this.ancestors.has(value)) {
+      throw new TypeError(`Converting circular structure to xCDN at ${formatPath(path)}`);
+    }
+    this.ancestors.add(value);
+    try {
+      if (Array.isArray(value)) {
+        // Like JSON, holes and values without an xCDN form become null
+        return new XArray(Array.from(value, (item, i) =>
+          this.node(isSkipped(item) ? null : item, [...path, i])));
+      }
+      const entries = value instanceof Map ? value.entries() : Object.entries(value);
+      const map = new Map();
+      for (const [key, item] of entries) {
+        if (typeof key !== 'string') {
+          throw new TypeError(`Cannot convert ${typeof key} key at ${formatPath(path)} to xCDN`);
+        }
+        if (!isSkipped(item)) {
+          map.set(key, this.node(item, [...path, key]));
+        }
+      }
+      return new XObject(map);
+    } finally {
+      this.ancestors.delete(value);
+    }
+  }
+}
+
+/**
+ * Checks whether a value is left out of objects, as JSON.stringify does
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSkipped(value) {
+  return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+/**
+ * Describes the location of a value for error messages
+ * @param {(string|number)[]} path
+ * @returns {string}
+ */
+function formatPath(path) {
+  return path.length === 0 ? 'the root' : path.map(key => `[${JSON.stringify(key)}]`).join('');
+}
+
+/**
+ * Converts a JavaScript value into a Node
+ *
+ * Objects and Maps with string keys become XObject, arrays XArray, integral
+ * numbers and bigints Int, other numbers Float, strings XString, Dates
+ * DateTime, Decimals DecimalValue, Uint8Arrays (and Buffers) Bytes and null
+ * Null. Values that are
+ * already AST values or Nodes are kept, and objects with a toJSON method are
+ * converted from its result. Properties that are undefined, functions or
+ * symbols are left out, as JSON.stringify does.
+ * @param {*} value
+ * @param {FromJSOptions} [options]
+ * @returns {Node}
+ * @throws {TypeError} On cycles and on values that have no xCDN form
+ */
+export function nodeFromJS(value, options = {}) {
+  if (isSkipped(value)) {
+    throw new TypeError(`Cannot convert ${typeof value} to xCDN`);
+  }
+  return new Converter(options).node(value, []);
+}
+
+/**
+ * Converts a JavaScript value into a Document holding it as its only value
+ * (see nodeFromJS)
+ * @param {*} value
+ * @param {FromJSOptions} [options]
+ * @returns {Document}
+ */
+export function fromJS(value, options = {}) {
+  const node = nodeFromJS(value, options);
+  const prolog = Object.entries(options.prolog ?? {}).map(([name, directive]) =>
+    new Directive(name, new Converter({}).node(directive, [])));
+  return new Document(prolog, [node]);
+}
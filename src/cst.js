@@ -0,0 +1,162 @@
+/**
+ * xCDN CST Module
+ * Comments, blank lines and original-text tracking for lossless round-trips
+ */
+
+import {
+  Document, Directive, Node, Tag, Annotation, ValueType, XArray, XObject
+} from './ast.js';
+
+/**
+ * Marker for a line break in a token's leading trivia
+ */
+export const NEWLINE = '\n';
+
+/**
+ * Source comment (// ... or /* ... *\/)
+ */
+export class Comment {
+  /**
+   * @param {string} kind - 'line' or 'block'
+   * @param {string} text - Comment text including its delimiters
+   * @param {Range} range - Source range
+   */
+  constructor(kind, text, range) {
+    this.kind = kind;
+    this.text = text;
+    this.range = range;
+  }
+}
+
+/**
+ * Comments and blank lines attached to an AST element
+ */
+export class Trivia {
+  /**
+   * @param {number} blankLinesBefore - Empty lines before the element
+   * @param {Comment[]} leading - Comments on the lines before the element
+   * @param {Comment[]} trailing - Comments after the element on its last line
+   * @param {Comment[]} dangling - Comments before a container's closing token
+   *   (or the end of the document) that follow no entry
+   */
+  constructor(blankLinesBefore = 0, leading = [], trailing = [], dangling = []) {
+    this.blankLinesBefore = blankLinesBefore;
+    this.leading = leading;
+    this.trailing = trailing;
+    this.dangling = dangling;
+  }
+
+  /**
+   * Builds leading trivia from the items lexed before a token
+   * @param {Array<Comment|string>} items - Comments and NEWLINE markers
+   * @returns {Trivia}
+   */
+  static fromLeading(items) {
+    let newlines = 0;
+    for (const item of items) {
+      if (item !== NEWLINE) break;
+      newlines++;
+    }
+    const leading = items.filter(item => item !== NEWLINE);
+    return new Trivia(Math.max(newlines - 1, 0), leading);
+  }
+
+  /**
+   * Removes the comments that precede the first line break from a token's
+   * leading items; they trail whatever came before the token
+   * @param {Array<Comment|string>} items
+   * @returns {Comment[]}
+   */
+  static takeSameLine(items) {
+    const index = items.indexOf(NEWLINE);
+    const end = index === -1 ? items.length : index;
+    return items.splice(0, end);
+  }
+}
+
+// Element -> { source, shape } recorded at parse time
+const originals = new WeakMap();
+
+/**
+ * Lists what an element is made of, so edits can be detected by identity
+ * @param {Object} element
+ * @returns {Array}
+ */
+function shapeOf(element) {
+  if (element instanceof Document) {
+    return [...element.prolog, ...element.values];
+  }
+  if (element instanceof Directive) {
+    return [element.name, element.value];
+  }
+  if (element instanceof Node) {
+    return [element.value, ...element.tags, ...element.annotations];
+  }
+  if (element instanceof Tag) {
+    return [element.name];
+  }
+  if (element instanceof Annotation) {
+    return [element.name, ...element.args];
+  }
+  if (element instanceof XObject) {
+    return Array.from(element.value.entries()).flat();
+  }
+  if (element instanceof XArray) {
+    return [...element.value];
+  }
+  return [element.value];
+}
+
+/**
+ * Checks whether a value is an AST element whose originality is tracked
+ * @param {*} part
+ * @returns {boolean}
+ */
+function isElement(part) {
+  return part instanceof Document || part instanceof Directive ||
+    part instanceof Node || part instanceof Tag ||
+    part instanceof Annotation || part instanceof ValueType;
+}
+
+/**
+ * Remembers the parsed shape of an element
+ * @param {Object} element
+ * @param {string} source - Text the element was parsed from
+ */
+export function recordOriginal(element, source) {
+  originals.set(element, { source, shape: shapeOf(element) });
+}
+
+/**
+ * Checks whether an element was parsed from the given source
+ * @param {Object} element
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function parsedFrom(element, source) {
+  return originals.get(element)?.source === source;
+}
+
+/**
+ * Checks whether an element and everything below it are unchanged since
+ * they were parsed from source
+ * @param {Object} element
+ * @param {string} source
+ * @param {Map<Object, boolean>} [cache] - Results already computed
+ * @returns {boolean}
+ */
+export function isPristine(element, source, cache = new Map()) {
+  if (cache.has(element)) {
+    return cache.get(element);
+  }
+  const original = originals.get(element);
+  let pristine = original !== undefined && original.source === source;
+  if (pristine) {
+    const shape = shapeOf(element);
+    pristine = shape.length === original.shape.length &&
+      shape.every((part, i) => part === original.shape[i] &&
+        (!isElement(part) || isPristine(part, source, cache)));
+  }
+  cache.set(element, pristine);
+  return pristine;
+}
@@ -0,0 +1,372 @@
+/**
+ * xCDN Decimal Module
+ * Arbitrary-precision decimal numbers on BigInt
+ */
+
+import { invalidLiteral, isDigit } from './temporal.js';
+
+/**
+ * Rounding modes of Decimal operations
+ */
+export const RoundingMode = {
+  Up: 'up', // Away from zero
+  Down: 'down', // Towards zero
+  Ceiling: 'ceiling', // Towards +infinity
+  Floor: 'floor', // Towards -infinity
+  HalfUp: 'half-up', // Nearest, ties away from zero
+  HalfDown: 'half-down', // Nearest, ties towards zero
+  HalfEven: 'half-even', // Nearest, ties to the even neighbour
+};
+
+// Fraction digits of a quotient when no scale is given
+const DEFAULT_DIVISION_SCALE = 20;
+
+/**
+ * @param {number} exponent - At least 0
+ * @returns {bigint}
+ */
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * @param {bigint} n
+ * @returns {number} Number of decimal digits of |n|
+ */
+function digitCount(n) {
+  return (n < 0n ? -n : n).toString().length;
+}
+
+/**
+ * Divides two integers, rounding the quotient to an integer
+ * @param {bigint} dividend
+ * @param {bigint} divisor - Not zero
+ * @param {string} rounding - A RoundingMode
+ * @returns {bigint}
+ */
+function divideRounded(dividend, divisor, rounding) {
+  if (divisor < 0n) {
+    dividend = -dividend;
+    divisor = -divisor;
+  }
+  const quotient = dividend / divisor; // Truncated towards zero
+  const remainder = dividend % divisor;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const sign = dividend < 0n ? -1n : 1n;
+  const twice = 2n * (remainder < 0n ? -remainder : remainder); // Compared with divisor
+  let away;
+  switch (rounding) {
+    case RoundingMode.Up: away = true; break;
+    case RoundingMode.Down: away = false; break;
+    case RoundingMode.Ceiling: away = sign > 0n; break;
+    case RoundingMode.Floor: away = sign < 0n; break;
+    case RoundingMode.HalfUp: away = twice >= divisor; break;
+    case RoundingMode.HalfDown: away = twice > divisor; break;
+    case RoundingMode.HalfEven: away = twice > divisor || (twice === divisor && quotient % 2n !== 0n); break;
+    default:
+      throw new RangeError(`Invalid rounding mode: ${rounding}`);
+  }
+  return away ? quotient + sign : quotient;
+}
+
+/**
+ * Checks that a scale is an integer
+ * @param {number} scale
+ * @returns {number}
+ */
+function checkScale(scale) {
+  if (!Number.isSafeInteger(scale)) {
+    throw new RangeError(`Invalid scale: ${scale}`);
+  }
+  return scale;
+}
+
+/**
+ * Immutable decimal number: coefficient × 10^-scale
+ *
+ * The scale is the number of fraction digits and is kept by every
+ * operation, so `1.50` stays `1.50`. A negative scale stands for trailing
+ * zeros of an integer written with an exponent (`15e2`).
+ */
+export class Decimal {
+  /**
+   * @param {bigint} coefficient - Digits without the decimal point
+   * @param {number} [scale=0] - Digits after the decimal point
+   */
+  constructor(coefficient, scale = 0) {
+    if (typeof coefficient !== 'bigint') {
+      throw new TypeError('Decimal coefficient must be a bigint');
+    }
+    this.coefficient = coefficient;
+    this.scale = checkScale(scale);
+    Object.freeze(this);
+  }
+
+  /**
+   * Parses a decimal: optional sign, digits with an optional fraction,
+   * optional exponent (`-12.50`, `.5`, `1e-3`)
+   * @param {string} str
+   * @returns {Decimal}
+   * @throws {SyntaxError} With the index of the first offending character
+   */
+  static parse(str) {
+    let i = 0;
+    const negative = str[i] === '-';
+    if (str[i] === '+' || str[i] === '-') i++;
+    const intStart = i;
+    while (isDigit(str[i])) i++;
+    let digits = str.slice(intStart, i);
+    let scale = 0;
+    if (str[i] === '.') {
+      i++;
+      const fractionStart = i;
+      while (isDigit(str[i])) i++;
+      digits += str.slice(fractionStart, i);
+      scale = i - fractionStart;
+    }
+    if (digits.length === 0) {
+      throw invalidLiteral('decimal', str, i);
+    }
+    if (str[i] === 'e' || str[i] === 'E') {
+      i++;
+      const exponentStart = i;
+      if (str[i] === '+' || str[i] === '-') i++;
+      const digitsStart = i;
+      while (isDigit(str[i])) i++;
+      if (i === digitsStart) {
+        throw invalidLiteral('decimal', str, i);
+      }
+      scale -= Number(str.slice(exponentStart, i));
+      if (!Number.isSafeInteger(scale)) {
+        throw invalidLiteral('decimal', str, exponentStart);
+      }
+    }
+    if (i !== str.length) {
+      throw invalidLiteral('decimal', str, i);
+    }
+    const coefficient = BigInt(digits);
+    return new Decimal(negative ? -coefficient : coefficient, scale);
+  }
+
+  /**
+   * Converts a value to a Decimal
+   * @param {Decimal|string|bigint|number} value - Numbers are taken as their
+   *   shortest string form, so 0.1 gives exactly 0.1
+   * @returns {Decimal}
+   */
+  static from(value) {
+    if (value instanceof Decimal) {
+      return value;
+    }
+    switch (typeof value) {
+      case 'bigint':
+        return new Decimal(value);
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new RangeError(`Cannot convert ${value} to a Decimal`);
+        }
+        return Decimal.parse(String(value));
+      case 'string':
+        return Decimal.parse(value);
+      default:
+        throw new TypeError(`Cannot convert ${typeof value} to a Decimal`);
+    }
+  }
+
+  /**
+   * Coefficient of this value at a larger scale
+   * @param {number} scale - At least this.scale
+   * @returns {bigint}
+   */
+  scaledTo(scale) {
+    return this.coefficient * pow10(scale - this.scale);
+  }
+
+  /**
+   * @returns {number} -1, 0 or 1
+   */
+  get sign() {
+    return this.coefficient < 0n ? -1 : this.coefficient > 0n ? 1 : 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  /**
+   * @returns {Decimal}
+   */
+  neg() {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  /**
+   * @returns {Decimal}
+   */
+  abs() {
+    return this.coefficient < 0n ? this.neg() : this;
+  }
+
+  /**
+   * Exact sum, at the larger scale of the operands
+   * @param {Decimal|string|bigint|number} other
+   * @returns {Decimal}
+   */
+  add(other) {
+    const b = Decimal.from(other);
+    const scale = Math.max(this.scale, b.scale);
+    return new Decimal(this.scaledTo(scale) + b.scaledTo(scale), scale);
+  }
+
+  /**
+   * Exact difference, at the larger scale of the operands
+   * @param {Decimal|string|bigint|number} other
+   * @returns {Decimal}
+   */
+  sub(other) {
+    return this.add(Decimal.from(other).neg());
+  }
+
+  /**
+   * Exact product, at the sum of the operands' scales
+   * @param {Decimal|string|bigint|number} other
+   * @returns {Decimal}
+   */
+  mul(other) {
+    const b = Decimal.from(other);
+    return new Decimal(this.coefficient * b.coefficient, this.scale + b.scale);
+  }
+
+  /**
+   * Quotient rounded to a number of fraction digits
+   * @param {Decimal|string|bigint|number} other
+   * @param {Object} [options]
+   * @param {number} [options.scale=20] - Fraction digits of the result
+   * @param {string} [options.rounding='half-even'] - A RoundingMode
+   * @returns {Decimal}
+   * @throws {RangeError} When dividing by zero
+   */
+  div(other, { scale = DEFAULT_DIVISION_SCALE, rounding = RoundingMode.HalfEven } = {}) {
+    const b = Decimal.from(other);
+    if (b.isZero()) {
+      throw new RangeError('Division by zero');
+    }
+    // this / b = (ca / cb) × 10^(b.scale - this.scale), wanted × 10^scale
+    const shift = checkScale(scale) - this.scale + b.scale;
+    const dividend = shift >= 0 ? this.coefficient * pow10(shift) : this.coefficient;
+    const divisor = shift >= 0 ? b.coefficient : b.coefficient * pow10(-shift);
+    return new Decimal(divideRounded(dividend, divisor, rounding), scale);
+  }
+
+  /**
+   * Rounds or pads to a number of fraction digits
+   * @param {number} scale
+   * @param {string} [rounding='half-even'] - A RoundingMode
+   * @returns {Decimal}
+   */
+  round(scale, rounding = RoundingMode.HalfEven) {
+    checkScale(scale);
+    if (scale >= this.scale) {
+      return new Decimal(this.scaledTo(scale), scale);
+    }
+    return new Decimal(divideRounded(this.coefficient, pow10(this.scale - scale), rounding), scale);
+  }
+
+  /**
+   * Drops trailing fraction zeros and resolves exponents: `1.500` gives
+   * `1.5`, `15e2` gives `1500`
+   * @returns {Decimal}
+   */
+  normalize() {
+    if (this.scale < 0) {
+      return new Decimal(this.scaledTo(0), 0);
+    }
+    let { coefficient, scale } = this;
+    while (scale > 0 && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale--;
+    }
+    return new Decimal(coefficient, scale);
+  }
+
+  /**
+   * Compares values, ignoring the scale (`1.5` equals `1.50`)
+   * @param {Decimal|string|bigint|number} other
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    const b = Decimal.from(other);
+    if (this.sign !== b.sign) {
+      return this.sign < b.sign ? -1 : 1;
+    }
+    if (this.sign === 0) {
+      return 0;
+    }
+    // Scaling to a common scale could build huge numbers (`1e-9999999`
+    // against `1`), so the positions of the leading digits decide first
+    const leadA = digitCount(this.coefficient) - this.scale;
+    const leadB = digitCount(b.coefficient) - b.scale;
+    if (leadA !== leadB) {
+      return (leadA < leadB ? -1 : 1) * this.sign;
+    }
+    // The scales now differ by the difference of digit counts at most
+    const scale = Math.max(this.scale, b.scale);
+    const x = this.scaledTo(scale);
+    const y = b.scaledTo(scale);
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+
+  /**
+   * @param {Decimal|string|bigint|number} other
+   * @returns {boolean} Whether the values are equal, whatever their scales
+   */
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  /**
+   * Formats with a fixed number of fraction digits
+   * @param {number} digits - At least 0
+   * @param {string} [rounding='half-even'] - A RoundingMode
+   * @returns {string}
+   */
+  toFixed(digits, rounding = RoundingMode.HalfEven) {
+    if (!(digits >= 0)) {
+      throw new RangeError(`Invalid number of digits: ${digits}`);
+    }
+    return this.round(digits, rounding).toString();
+  }
+
+  /**
+   * @returns {number} Nearest double
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Formats with exactly `scale` fraction digits; a negative scale is
+   * written as an exponent (`15e2`)
+   * @returns {string}
+   */
+  toString() {
+    if (this.scale < 0) {
+      return `${this.coefficient}e${-this.scale}`;
+    }
+    const negative = this.coefficient < 0n;
+    const digits = (negative ? -this.coefficient : this.coefficient).toString().padStart(this.scale + 1, '0');
+    const point = digits.length - this.scale;
+    const text = this.scale === 0 ? digits : `${digits.slice(0, point)}.${digits.slice(point)}`;
+    return negative ? `-${text}` : text;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * xCDN Encoding Module
+ * Decoding of byte input: BOM detection and validation
+ */
+
+import { XCDNError, ErrorKind } from './error.js';
+import { Lexer } from './lexer.js';
+
+// Byte order marks, checked in order; no BOM means UTF-8
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] },
+];
+
+/**
+ * Detects the encoding of an input from its byte order mark
+ * @param {Uint8Array} bytes
+ * @returns {{encoding: string, bomLength: number}}
+ */
+export function detectEncoding(bytes) {
+  for (const bom of BOMS) {
+    if (bom.bytes.every((byte, i) => bytes[i] === byte)) {
+      return { encoding: bom.encoding, bomLength: bom.bytes.length };
+    }
+  }
+  return { encoding: 'utf-8', bomLength: 0 };
+}
+
+/**
+ * Finds the first byte that does not start a well-formed UTF-8 sequence
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @returns {number} Its index, or -1 if the input is well-formed
+ */
+function invalidUtf8At(bytes, start) {
+  let i = start;
+  while (i < bytes.length) {
+    const lead = bytes[i];
+    if (lead < 0x80) {
+      i++;
+      continue;
+    }
+
+    // Continuation bytes needed and the range of the first one
+    let needed;
+    let lower = 0x80;
+    let upper = 0xBF;
+    if (lead >= 0xC2 && lead <= 0xDF) {
+      needed = 1;
+    } else if (lead >= 0xE0 && lead <= 0xEF) {
+      needed = 2;
+      if (lead === 0xE0) lower = 0xA0; // Overlong
+      if (lead === 0xED) upper = 0x9F; // Surrogates
+    } else if (lead >= 0xF0 && lead <= 0xF4) {
+      needed = 3;
+      if (lead === 0xF0) lower = 0x90; // Overlong
+      if (lead === 0xF4) upper = 0x8F; // Above U+10FFFF
+    } else {
+      return i;
+    }
+
+    for (let k = 1; k <= needed; k++) {
+      const byte = bytes[i + k];
+      const min = k === 1 ? lower : 0x80;
+      const max = k === 1 ? upper : 0xBF;
+      if (byte === undefined || byte < min || byte > max) {
+        return i;
+      }
+    }
+    i += needed + 1;
+  }
+  return -1;
+}
+
+/**
+ * Finds the first code unit that is not part of well-formed UTF-16
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {boolean} littleEndian
+ * @returns {number} Its byte index, or -1 if the input is well-formed
+ */
+function invalidUtf16At(bytes, start, littleEndian) {
+  const unit = (i) => (littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+  let i = start;
+  while (i + 1 < bytes.length) {
+    const code = unit(i);
+    if (code >= 0xD800 && code <= 0xDBFF) {
+      const next = i + 3 < bytes.length ? unit(i + 2) : -1;
+      if (next < 0xDC00 || next > 0xDFFF) {
+        return i;
+      }
+      i += 4;
+    } else if (code >= 0xDC00 && code <= 0xDFFF) {
+      return i;
+    } else {
+      i += 2;
+    }
+  }
+  return i < bytes.length ? i : -1;
+}
+
+/**
+ * Decodes an input given as bytes
+ * @param {Uint8Array} bytes - UTF-8, or UTF-8/UTF-16 with a byte order mark
+ * @returns {{text: string, encoding: string, bomLength: number}} Text
+ *   without the byte order mark
+ * @throws {XCDNError} InvalidEncoding at the first malformed byte
+ */
+export function decodeBytes(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new TypeError('Expected a Uint8Array or Buffer');
+  }
+  const { encoding, bomLength } = detectEncoding(bytes);
+  const content = bytes.subarray(bomLength);
+  try {
+    const text = new TextDecoder(encoding, { fatal: true, ignoreBOM: true }).decode(content);
+    return { text, encoding, bomLength };
+  } catch {
+    const bad = encoding === 'utf-8'
+      ? invalidUtf8At(bytes, bomLength)
+      : invalidUtf16At(bytes, bomLength, encoding === 'utf-16le');
+    const valid = new TextDecoder(encoding, { ignoreBOM: true }).decode(bytes.subarray(bomLength, bad));
+    const lexer = new Lexer('');
+    lexer.encoding = encoding;
+    lexer.byteOffset = bomLength;
+    throw new XCDNError(
+      ErrorKind.InvalidEncoding,
+      lexer.positionAfter(lexer.span(), valid),
+      `malformed ${encoding.toUpperCase()} at byte ${bad}`
+    );
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * xCDN Equality Module
+ * Deep structural equality and stable hashing of documents, nodes and values
+ */
+
+import { createHash } from 'node:crypto';
+import {
+  Document, Directive, Node, ValueType,
+  Null, Bool, Int, Float, DecimalValue, XString, Bytes, DateTime, Duration, Uuid, XArray, XObject
+} from './ast.js';
+import { defaultLiterals } from './literals.js';
+import { Serializer } from './serializer.js';
+
+/**
+ * Options of equals and hash
+ * @typedef {Object} EqualsOptions
+ * @property {boolean} [keyOrder=false] - Objects with the same entries in
+ *   another order are different
+ * @property {string} [dateTime='instant'] - How datetimes compare: 'instant'
+ *   (the same point in time, whatever the offset and trailing zeros) or
+ *   'exact' (also the same offset and fraction digits)
+ */
+
+/**
+ * Accepted values of the dateTime option
+ */
+const DATETIME_MODES = ['instant', 'exact'];
+
+/**
+ * Writes the canonical key of a value: two values are equal exactly when
+ * their keys are. Strings are length-prefixed so that no key is a prefix of
+ * another one's part.
+ */
+class KeyWriter {
+  /**
+   * @param {EqualsOptions} options
+   */
+  constructor(options) {
+    this.keyOrder = Boolean(options.keyOrder);
+    this.dateTime = options.dateTime ?? 'instant';
+    if (!DATETIME_MODES.includes(this.dateTime)) {
+      throw new Error(`Invalid dateTime: ${this.dateTime} (expected ${DATETIME_MODES.join(', ')})`);
+    }
+    this.parts = [];
+    this.serializer = null; // Created for custom literals only
+  }
+
+  /**
+   * @param {string} str
+   */
+  string(str) {
+    this.parts.push(`${str.length}:`, str);
+  }
+
+  /**
+   * @param {Document|Directive|Node|ValueType} item
+   */
+  any(item) {
+    if (item instanceof Document) {
+      this.parts.push(`D${item.prolog.length},${item.values.length}`);
+      item.prolog.forEach(directive => this.directive(directive));
+      item.values.forEach(node => this.node(node));
+    } else if (item instanceof Directive) {
+      this.directive(item);
+    } else if (item instanceof Node) {
+      this.node(item);
+    } else if (item instanceof ValueType) {
+      this.value(item);
+    } else {
+      throw new TypeError('Expected a Document, Directive, Node or ValueType');
+    }
+  }
+
+  /**
+   * @param {Directive} directive
+   */
+  directive(directive) {
+    this.parts.push('$');
+    this.string(directive.name);
+    this.any(directive.value);
+  }
+
+  /**
+   * @param {Node} node
+   */
+  node(node) {
+    this.parts.push(`N${node.tags.length},${node.annotations.length}`);
+    for (const tag of node.tags) {
+      this.string(tag.name);
+    }
+    for (const annotation of node.annotations) {
+      this.string(annotation.name);
+      this.parts.push(`(${annotation.args.length}`);
+      annotation.args.forEach(arg => this.any(arg));
+    }
+    this.any(node.value);
+  }
+
+  /**
+   * @param {ValueType} value
+   */
+  value(value) {
+    if (value instanceof Null) {
+      this.parts.push('n');
+    } else if (value instanceof Bool) {
+      this.parts.push(value.value ? 'T' : 'F');
+    } else if (value instanceof Int) {
+      // bigint and number values compare alike
+      this.parts.push(`i${BigInt(value.value)};`);
+    } else if (value instanceof Float) {
+      this.parts.push(`f${Object.is(value.value, -0) ? '-0' : value.value};`);
+    } else if (value instanceof XString) {
+      this.parts.push('s');
+      this.string(value.value);
+    } else if (value instanceof DecimalValue) {
+      this.parts.push(`d${decimalKey(value.decimal)};`);
+    } else if (value instanceof Bytes) {
+      this.parts.push(`b${Buffer.from(value.value).toString('hex')};`);
+    } else if (value instanceof DateTime) {
+      this.parts.push(`t${this.dateTime === 'exact' ? value.toString() : instantOf(value)};`);
+    } else if (value instanceof Duration) {
+      this.parts.push(`r${value.toCanonical()};`);
+    } else if (value instanceof Uuid) {
+      this.parts.push(`u${value.value};`);
+    } else if (value instanceof XArray) {
+      this.parts.push(`[${value.value.length}`);
+      value.value.forEach(node => this.node(node));
+    } else if (value instanceof XObject) {
+      const keys = [...value.value.keys()];
+      if (!this.keyOrder) {
+        keys.sort();
+      }
+      this.parts.push(`{${keys.length}`);
+      for (const key of keys) {
+        this.string(key);
+        this.node(value.value.get(key));
+      }
+    } else {
+      this.custom(value);
+    }
+  }
+
+  /**
+   * Custom typed literals compare by their class and written text
+   * @param {ValueType} value
+   */
+  custom(value) {
+    const literal = defaultLiterals.forValue(value);
+    let text;
+    if (literal) {
+      this.serializer ??= new Serializer();
+      text = literal.format(value, this.serializer);
+    } else {
+      text = String(value.value);
+    }
+    this.parts.push('x');
+    this.string(value.constructor.name);
+    this.string(text);
+  }
+}
+
+/**
+ * Key of a decimal number: its digits without trailing zeros and the
+ * exponent of the last one. Never scales the coefficient, as `d"1e-99999999"`
+ * would take hundreds of megabytes written out.
+ * @param {Decimal} decimal
+ * @returns {string}
+ */
+function decimalKey(decimal) {
+  const { coefficient, scale } = decimal;
+  if (coefficient === 0n) {
+    return '0';
+  }
+  const text = coefficient.toString();
+  const digits = text.replace(/0+$/, '');
+  return `${digits}e${text.length - digits.length - scale}`;
+}
+
+/**
+ * Point in time of a datetime, with every kept fraction digit
+ * @param {DateTime} dateTime
+ * @returns {string} Milliseconds since the epoch, then further digits
+ */
+function instantOf(dateTime) {
+  const millis = dateTime.value.getTime();
+  // The kept digits only apply while they agree with the instant
+  const { fraction } = dateTime.local;
+  const beyond = fraction.slice(3).replace(/0+$/, '');
+  return beyond ? `${millis}.${beyond}` : String(millis);
+}
+
+/**
+ * Canonical key of a value under some options
+ * @param {Document|Directive|Node|ValueType} item
+ * @param {EqualsOptions} options
+ * @returns {string}
+ */
+function keyOf(item, options) {
+  const writer = new KeyWriter(options);
+  writer.any(item);
+  return writer.parts.join('');
+}
+
+/**
+ * Compares two documents, directives, nodes or values by structure
+ *
+ * Tags and annotations must match in order. Values must have the same type,
+ * so Int 1 differs from Float 1.0. Bytes compare by content, decimals by
+ * number (`1.5` equals `1.50`), durations by their canonical form and UUIDs
+ * ignoring case. Comments, source ranges and number spellings are ignored.
+ * @param {Document|Directive|Node|ValueType} a
+ * @param {Document|Directive|Node|ValueType} b
+ * @param {EqualsOptions} [options]
+ * @returns {boolean}
+ */
+export function equals(a, b, options = {}) {
+  if (a === b) {
+    return true;
+  }
+  return keyOf(a, options) === keyOf(b, options);
+}
+
+/**
+ * Stable hash, consistent with equals under the same options: equal values
+ * have equal hashes, in any process
+ * @param {Document|Directive|Node|ValueType} item
+ * @param {EqualsOptions} [options]
+ * @returns {string} SHA-256 in hex
+ */
+export function hash(item, options = {}) {
+  return createHash('sha256').update(keyOf(item, options)).digest('hex');
+}
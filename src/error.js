@@ -8,14 +8,18 @@
  */
 export class Span {
   /**
-   * @param {number} offset - Absolute byte offset
+   * @param {number} offset - Absolute byte offset: UTF-8, or the encoding of
+   *   the bytes given to parseBytes
    * @param {number} line - Line number (1-indexed)
-   * @param {number} column - Column number (1-indexed)
+   * @param {number} column - Column number in code points (1-indexed)
+   * @param {number} [index] - Absolute offset in UTF-16 code units, as used
+   *   to index JS strings; equal to offset for ASCII text
    */
-  constructor(offset, line, column) {
+  constructor(offset, line, column, index = offset) {
     this.offset = offset;
     this.line = line;
     this.column = column;
+    this.index = index;
   }
 
   toString() {
@@ -23,7 +27,25 @@ export class Span {
   }
 
   clone() {
-    return new Span(this.offset, this.line, this.column);
+    return new Span(this.offset, this.line, this.column, this.index);
+  }
+}
+
+/**
+ * Source range between two positions
+ */
+export class Range {
+  /**
+   * @param {Span} start - Position of the first character
+   * @param {Span} end - Position just past the last character
+   */
+  constructor(start, end) {
+    this.start = start;
+    this.end = end;
+  }
+
+  toString() {
+    return `${this.start.toString()}-${this.end.toString()}`;
   }
 }
 
@@ -41,6 +63,15 @@ export const ErrorKind = {
   InvalidDuration: 'InvalidDuration',
   InvalidUuid: 'InvalidUuid',
   InvalidBase64: 'InvalidBase64',
+  InvalidLiteral: 'InvalidLiteral',
+  InvalidEncoding: 'InvalidEncoding',
+  DuplicateKey: 'DuplicateKey',
+  MaxInputLengthExceeded: 'MaxInputLengthExceeded',
+  MaxDepthExceeded: 'MaxDepthExceeded',
+  MaxStringLengthExceeded: 'MaxStringLengthExceeded',
+  MaxBytesLengthExceeded: 'MaxBytesLengthExceeded',
+  MaxEntriesExceeded: 'MaxEntriesExceeded',
+  MaxDecorationsExceeded: 'MaxDecorationsExceeded',
   Message: 'Message',
 };
 
@@ -52,17 +83,30 @@ export class XCDNError extends Error {
    * @param {string} kind - Error type (from ErrorKind)
    * @param {Span} span - Error position
    * @param {string} [context] - Additional context
+   * @param {Span} [related] - Another position involved (e.g. the first
+   *   occurrence of a duplicate key)
    */
-  constructor(kind, span, context = null) {
+  constructor(kind, span, context = null, related = null) {
     const message = XCDNError.formatMessage(kind, context, span);
     super(message);
     this.name = 'XCDNError';
     this.kind = kind;
     this.span = span;
     this.context = context;
+    this.related = related;
   }
 
   static formatMessage(kind, context, span) {
+    return `${XCDNError.describe(kind, context)} at ${span.toString()}`;
+  }
+
+  /**
+   * Describes an error without its position
+   * @param {string} kind - Error type (from ErrorKind)
+   * @param {string} [context] - Additional context
+   * @returns {string}
+   */
+  static describe(kind, context) {
     let msg;
     switch (kind) {
       case ErrorKind.Eof:
@@ -75,10 +119,10 @@ export class XCDNError extends Error {
         msg = context; // "Expected X, found Y"
         break;
       case ErrorKind.InvalidEscape:
-        msg = 'Invalid escape sequence';
+        msg = context ? `Invalid escape sequence: ${context}` : 'Invalid escape sequence';
         break;
       case ErrorKind.InvalidNumber:
-        msg = 'Invalid number format';
+        msg = context ? `Invalid number format: ${context}` : 'Invalid number format';
         break;
       case ErrorKind.InvalidDecimal:
         msg = `Invalid decimal value: ${context}`;
@@ -95,12 +139,70 @@ export class XCDNError extends Error {
       case ErrorKind.InvalidBase64:
         msg = `Invalid base64 value: ${context}`;
         break;
+      case ErrorKind.InvalidLiteral:
+        msg = `Invalid literal: ${context}`;
+        break;
+      case ErrorKind.InvalidEncoding:
+        msg = `Invalid encoding: ${context}`;
+        break;
+      case ErrorKind.DuplicateKey:
+        msg = `Duplicate key: ${context}`;
+        break;
+      case ErrorKind.MaxInputLengthExceeded:
+        msg = `Input too long: ${context}`;
+        break;
+      case ErrorKind.MaxDepthExceeded:
+        msg = `Nesting too deep: ${context}`;
+        break;
+      case ErrorKind.MaxStringLengthExceeded:
+        msg = `String too long: ${context}`;
+        break;
+      case ErrorKind.MaxBytesLengthExceeded:
+        msg = `Bytes value too long: ${context}`;
+        break;
+      case ErrorKind.MaxEntriesExceeded:
+        msg = `Too many entries: ${context}`;
+        break;
+      case ErrorKind.MaxDecorationsExceeded:
+        msg = `Too many decorations: ${context}`;
+        break;
       case ErrorKind.Message:
         msg = context;
         break;
       default:
         msg = context || 'Unknown error';
     }
-    return `${msg} at ${span.toString()}`;
+    return msg;
+  }
+}
+
+/**
+ * Problem collected by a tolerant parse instead of being thrown
+ */
+export class Diagnostic {
+  /**
+   * @param {string} kind - Error type (from ErrorKind)
+   * @param {Span} span - Problem position
+   * @param {string} message - Description without position
+   * @param {Span} [related] - Another position involved
+   */
+  constructor(kind, span, message, related = null) {
+    this.kind = kind;
+    this.span = span;
+    this.message = message;
+    this.related = related;
+  }
+
+  /**
+   * @param {XCDNError} error
+   * @returns {Diagnostic}
+   */
+  static fromError(error) {
+    const message = XCDNError.describe(error.kind, error.context);
+    return new Diagnostic(error.kind, error.span, message, error.related);
+  }
+
+  toString() {
+    return `${this.message} at ${this.span.toString()}`;
   }
 }
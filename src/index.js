@@ -14,15 +14,49 @@ export * from './error.js';
 export * from './lexer.js';
 
 // Re-export parser
-export { Parser, parseStr, parseReader } from './parser.js';
+export { Parser, parseStr, parseBytes, parseTolerant, parseReader } from './parser.js';
+
+// Re-export comment and original-text tracking
+export { Comment, Trivia } from './cst.js';
+
+// Re-export parser options
+export { ParseOptions } from './options.js';
+
+// Re-export typed literal registry
+export { LiteralRegistry, BUILTIN_LITERALS, defaultLiterals, registerLiteral } from './literals.js';
+
+// Re-export arbitrary-precision decimals
+export { Decimal, RoundingMode } from './decimal.js';
+
+// Re-export UUID helpers
+export { NIL_UUID, MAX_UUID, uuidV4, uuidV7 } from './uuid.js';
+
+// Re-export structural equality
+export { equals, hash } from './equals.js';
+
+// Re-export JSON pointers
+export {
+  PointerError, parsePointer, formatPointer, getAt, setAt, deleteAt, ensurePath
+} from './pointer.js';
+
+// Re-export path queries
+export { Query, query } from './query.js';
+
+// Re-export conversion from plain values
+export { fromJS, nodeFromJS } from './convert.js';
+
+// Re-export streaming parser
+export { StreamParser, parseStream } from './stream.js';
 
 // Re-export serializer
 export {
   Format,
   Serializer,
+  LosslessSerializer,
   toStringPretty,
   toStringCompact,
-  toStringWithFormat
+  toStringWithFormat,
+  toStringLossless
 } from './serializer.js';
 
 // Default export for convenience
@@ -3,7 +3,8 @@
  * Tokenization for the xCDN format
  */
 
-import { Span, XCDNError, ErrorKind } from './error.js';
+import { Span, Range, XCDNError, ErrorKind, Diagnostic } from './error.js';
+import { Comment, NEWLINE } from './cst.js';
 
 /**
  * Token types
@@ -33,6 +34,7 @@ export const TokenType = {
   FLOAT: 'FLOAT',           // Floating point numbers
   STRING: 'STRING',         // Strings "..."
   TRIPLE_STRING: 'TRIPLE_STRING', // Strings """..."""
+  RAW_STRING: 'RAW_STRING', // Strings `...` without escapes
 
   // Typed strings
   D_QUOTED: 'D_QUOTED',     // d"decimal"
@@ -40,11 +42,129 @@ export const TokenType = {
   U_QUOTED: 'U_QUOTED',     // u"uuid"
   T_QUOTED: 'T_QUOTED',     // t"datetime"
   R_QUOTED: 'R_QUOTED',     // r"duration"
+  TYPED_QUOTED: 'TYPED_QUOTED', // prefix"..." for other prefixes (see literals.js)
 
   // End of input
   EOF: 'EOF',
 };
 
+const IDENT_START = /^[\p{ID_Start}_]$/u;
+const IDENT_CONTINUE = /^[\p{ID_Continue}-]$/u;
+
+// An escaped low surrogate, expected right after an escaped high surrogate
+const LOW_SURROGATE_ESCAPE = /\\u[dD][c-fC-F][0-9a-fA-F]{2}/y;
+
+/**
+ * Checks if a code point can start an identifier (Unicode ID_Start or `_`)
+ * @param {string} ch - A single code point
+ * @returns {boolean}
+ */
+export function isIdentStart(ch) {
+  return IDENT_START.test(ch);
+}
+
+/**
+ * Checks if a code point can continue an identifier (Unicode ID_Continue or `-`)
+ * @param {string} ch - A single code point
+ * @returns {boolean}
+ */
+export function isIdentContinue(ch) {
+  return IDENT_CONTINUE.test(ch);
+}
+
+// Token types of the built-in typed string prefixes
+const TYPED_TOKENS = {
+  d: TokenType.D_QUOTED,
+  b: TokenType.B_QUOTED,
+  u: TokenType.U_QUOTED,
+  t: TokenType.T_QUOTED,
+  r: TokenType.R_QUOTED,
+};
+
+// Integer prefixes after `0`, by lowercase letter
+const RADIX_PREFIXES = { x: 16, o: 8, b: 2 };
+
+/**
+ * Checks if a character is a digit of a radix
+ * @param {string} ch
+ * @param {number} radix
+ * @returns {boolean}
+ */
+function isRadixDigit(ch, radix) {
+  const digit = parseInt(ch, 36);
+  return !isNaN(digit) && digit < radix;
+}
+
+/**
+ * Tells which radix an integer literal is written in
+ * @param {string} lexeme - Source text of an INT token
+ * @returns {number} 2, 8, 10 or 16
+ */
+export function radixOf(lexeme) {
+  const prefix = /^[+-]?0([xXoObB])/.exec(lexeme);
+  return prefix ? RADIX_PREFIXES[prefix[1].toLowerCase()] : 10;
+}
+
+/**
+ * Checks if a number is a UTF-16 surrogate code unit
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isSurrogate(code) {
+  return code >= 0xD800 && code <= 0xDFFF;
+}
+
+/**
+ * Number of UTF-8 bytes of a code unit; each half of a surrogate pair
+ * counts for two of the pair's four
+ * @param {string} ch - One UTF-16 code unit
+ * @returns {number}
+ */
+function utf8Width(ch) {
+  const code = ch.charCodeAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800 || isSurrogate(code)) return 2;
+  return 3;
+}
+
+/**
+ * Checks if a code unit is the second half of a surrogate pair, which
+ * does not start a new column
+ * @param {string|undefined} previous - Code unit before ch
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function continuesPair(previous, ch) {
+  const code = ch.charCodeAt(0);
+  const before = previous === undefined ? 0 : previous.charCodeAt(0);
+  return code >= 0xDC00 && code <= 0xDFFF && before >= 0xD800 && before <= 0xDBFF;
+}
+
+/**
+ * Removes the layout of a triple-quoted block that opens with a line break:
+ * the opening line break, the closing delimiter's line when it holds only
+ * whitespace, and the indentation common to the remaining lines and the
+ * closing delimiter. Whitespace-only lines become empty.
+ * @param {string} raw - Text between the delimiters, starting with a line break
+ * @returns {string}
+ */
+function dedent(raw) {
+  const lines = raw.replace(/\r\n/g, '\n').slice(1).split('\n');
+  const isBlank = (line) => /^[ \t]*$/.test(line);
+
+  let indent = Infinity;
+  if (isBlank(lines[lines.length - 1])) {
+    indent = lines.pop().length;
+  }
+  for (const line of lines) {
+    if (!isBlank(line)) {
+      indent = Math.min(indent, line.length - line.trimStart().length);
+    }
+  }
+
+  return lines.map(line => (isBlank(line) ? '' : line.slice(indent))).join('\n');
+}
+
 /**
  * Single token
  */
@@ -58,6 +178,9 @@ export class Token {
     this.kind = kind;
     this.span = span;
     this.value = value;
+    this.end = null; // Position just past the token, set by the lexer
+    this.prefix = null; // Prefix of typed strings (d, b, ..., or a registered one)
+    this.leading = null; // Comments and NEWLINE markers before the token (trivia mode)
   }
 }
 
@@ -67,12 +190,32 @@ export class Token {
 export class Lexer {
   /**
    * @param {string} source - Source code
+   * @param {ParseOptions|Object} [options] - Reads trivia and maxStringLength
    */
-  constructor(source) {
+  constructor(source, options = {}) {
     this.source = source;
     this.pos = 0;
     this.line = 1;
     this.column = 1;
+    this.origin = 0; // UTF-16 offset of source[0] within the whole input (streaming)
+    this.byteOffset = 0; // Byte offset of source[pos] within the whole input
+    this.encoding = 'utf-8'; // Encoding byte offsets are counted in (see parseBytes)
+    this.exhausted = false; // Set once a lookahead runs past the end of source
+    this.diagnostics = null; // Collects errors instead of throwing (tolerant mode)
+    this.keepTrivia = Boolean(options.trivia); // Record comments and line breaks on tokens
+    this.maxStringLength = options.maxStringLength ?? Infinity; // Longest accepted string or identifier
+    this.leading = null;
+  }
+
+  /**
+   * Throws an error, or records it when collecting diagnostics
+   * @param {XCDNError} error
+   */
+  report(error) {
+    if (this.diagnostics === null) {
+      throw error;
+    }
+    this.diagnostics.push(Diagnostic.fromError(error));
   }
 
   /**
@@ -80,7 +223,37 @@ export class Lexer {
    * @returns {Span}
    */
   span() {
-    return new Span(this.pos, this.line, this.column);
+    return new Span(this.byteOffset, this.line, this.column, this.origin + this.pos);
+  }
+
+  /**
+   * Computes the position just past some text that starts at a position
+   * @param {Span} span - Where the text starts
+   * @param {string} text
+   * @returns {Span}
+   */
+  positionAfter(span, text) {
+    let { offset, line, column } = span;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      offset += this.unitBytes(ch);
+      if (ch === '\n') {
+        line++;
+        column = 1;
+      } else if (!continuesPair(text[i - 1], ch)) {
+        column++;
+      }
+    }
+    return new Span(offset, line, column, span.index + text.length);
+  }
+
+  /**
+   * Number of input bytes of a code unit
+   * @param {string} ch
+   * @returns {number}
+   */
+  unitBytes(ch) {
+    return this.encoding === 'utf-8' ? utf8Width(ch) : 2;
   }
 
   /**
@@ -89,6 +262,7 @@ export class Lexer {
    */
   peek() {
     if (this.pos >= this.source.length) {
+      this.exhausted = true;
       return null;
     }
     return this.source[this.pos];
@@ -100,25 +274,46 @@ export class Lexer {
    */
   peekNext() {
     if (this.pos + 1 >= this.source.length) {
+      this.exhausted = true;
       return null;
     }
     return this.source[this.pos + 1];
   }
 
+  /**
+   * Reads the next code point without consuming it; astral characters
+   * are returned as their surrogate pair
+   * @returns {string|null}
+   */
+  peekCodePoint() {
+    const ch = this.peek();
+    if (ch === null) return null;
+    const code = ch.charCodeAt(0);
+    if (code >= 0xD800 && code <= 0xDBFF) {
+      const next = this.peekNext();
+      if (next !== null && next.charCodeAt(0) >= 0xDC00 && next.charCodeAt(0) <= 0xDFFF) {
+        return ch + next;
+      }
+    }
+    return ch;
+  }
+
   /**
    * Consumes and returns the next character
    * @returns {string|null}
    */
   bump() {
     if (this.pos >= this.source.length) {
+      this.exhausted = true;
       return null;
     }
     const ch = this.source[this.pos];
     this.pos++;
+    this.byteOffset += this.unitBytes(ch);
     if (ch === '\n') {
       this.line++;
       this.column = 1;
-    } else {
+    } else if (!continuesPair(this.source[this.pos - 2], ch)) {
       this.column++;
     }
     return ch;
@@ -135,12 +330,17 @@ export class Lexer {
       // Whitespace
       if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') {
         this.bump();
+        if (ch === '\n' && this.leading !== null) {
+          this.leading.push(NEWLINE);
+        }
         continue;
       }
 
       // Comments
       if (ch === '/') {
         const next = this.peekNext();
+        const start = this.span();
+        const begin = this.pos;
         if (next === '/') {
           // Line comment
           this.bump(); // /
@@ -148,6 +348,7 @@ export class Lexer {
           while (this.peek() !== null && this.peek() !== '\n') {
             this.bump();
           }
+          this.recordComment('line', begin, start);
           continue;
         } else if (next === '*') {
           // Block comment
@@ -156,13 +357,15 @@ export class Lexer {
           while (true) {
             const c = this.bump();
             if (c === null) {
-              throw new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated block comment');
+              this.report(new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated block comment'));
+              return;
             }
             if (c === '*' && this.peek() === '/') {
               this.bump(); // /
               break;
             }
           }
+          this.recordComment('block', begin, start);
           continue;
         }
       }
@@ -172,7 +375,20 @@ export class Lexer {
   }
 
   /**
-   * Reads an identifier or keyword
+   * Records a comment ending at the current position (trivia mode)
+   * @param {string} kind - 'line' or 'block'
+   * @param {number} begin - Source index of the comment start
+   * @param {Span} start - Position of the comment start
+   */
+  recordComment(kind, begin, start) {
+    if (this.leading !== null) {
+      const text = this.source.slice(begin, this.pos);
+      this.leading.push(new Comment(kind, text, new Range(start, this.span())));
+    }
+  }
+
+  /**
+   * Reads an identifier, keyword or typed string (prefix"...")
    * @returns {Token}
    */
   readIdent() {
@@ -180,10 +396,11 @@ export class Lexer {
     let value = '';
 
     while (true) {
-      const ch = this.peek();
+      const ch = this.peekCodePoint();
       if (ch === null) break;
       if (this.isIdentContinue(ch)) {
-        value += this.bump();
+        value = this.append(value, ch, startSpan);
+        for (let i = 0; i < ch.length; i++) this.bump();
       } else {
         break;
       }
@@ -198,29 +415,73 @@ export class Lexer {
       return new Token(TokenType.NULL, startSpan, null);
     }
 
+    // Typed strings: the prefix is checked by the parser
+    if (this.peek() === '"') {
+      this.bump(); // "
+      const kind = TYPED_TOKENS[value] ?? TokenType.TYPED_QUOTED;
+      // Bytes values are limited by the parser on their decoded size
+      const max = kind === TokenType.B_QUOTED ? Infinity : this.maxStringLength;
+      const token = new Token(kind, startSpan, this.readStringContent(startSpan, max));
+      token.prefix = value;
+      return token;
+    }
+
     return new Token(TokenType.IDENT, startSpan, value);
   }
 
   /**
    * Checks if the character can start an identifier
-   * @param {string} ch
+   * @param {string} ch - A single code point
    * @returns {boolean}
    */
   isIdentStart(ch) {
-    return (ch >= 'a' && ch <= 'z') ||
-           (ch >= 'A' && ch <= 'Z') ||
-           ch === '_';
+    return isIdentStart(ch);
   }
 
   /**
    * Checks if the character can continue an identifier
-   * @param {string} ch
+   * @param {string} ch - A single code point
    * @returns {boolean}
    */
   isIdentContinue(ch) {
-    return this.isIdentStart(ch) ||
-           (ch >= '0' && ch <= '9') ||
-           ch === '-';
+    return isIdentContinue(ch);
+  }
+
+  /**
+   * Checks whether `inf` starts at a source index as a whole word
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isInfinityAt(index) {
+    if (index + 3 >= this.source.length) {
+      this.exhausted = true; // A longer word may follow in the next chunk
+    }
+    return this.source.startsWith('inf', index) &&
+      (index + 3 >= this.source.length || !isIdentContinue(this.source[index + 3]));
+  }
+
+  /**
+   * Reads the digits of a radix, dropping `_` separators. A separator must
+   * sit between two digits.
+   * @param {number} radix - 2, 8, 10 or 16
+   * @returns {string} Digits without separators
+   */
+  readDigits(radix) {
+    let digits = '';
+    while (true) {
+      const ch = this.peek();
+      if (ch !== null && isRadixDigit(ch, radix)) {
+        digits += this.bump();
+      } else if (ch === '_') {
+        const next = this.peekNext();
+        if (digits === '' || next === null || !isRadixDigit(next, radix)) {
+          this.report(new XCDNError(ErrorKind.InvalidNumber, this.span(), '_ must be between digits'));
+        }
+        this.bump();
+      } else {
+        return digits;
+      }
+    }
   }
 
   /**
@@ -237,18 +498,39 @@ export class Lexer {
       value += this.bump();
     }
 
-    // Integer part
-    while (this.peek() !== null && this.peek() >= '0' && this.peek() <= '9') {
-      value += this.bump();
+    // Signed infinity (checked by readToken)
+    if (this.peek() === 'i') {
+      this.bump();
+      this.bump();
+      this.bump();
+      return new Token(TokenType.FLOAT, startSpan, value === '-' ? -Infinity : Infinity);
     }
 
+    // Hexadecimal, octal and binary integers
+    const radix = this.peek() === '0' ? RADIX_PREFIXES[this.peekNext()?.toLowerCase()] : undefined;
+    if (radix !== undefined) {
+      const prefix = this.bump() + this.bump();
+      const digits = this.readDigits(radix);
+      const ch = this.peek();
+      if (digits === '' || (ch !== null && /[0-9a-zA-Z]/.test(ch))) {
+        while (this.peek() !== null && /[0-9a-zA-Z_]/.test(this.peek())) {
+          this.bump();
+        }
+        this.report(new XCDNError(ErrorKind.InvalidNumber, startSpan, `invalid base ${radix} integer`));
+        return new Token(TokenType.INT, startSpan, 0n);
+      }
+      const magnitude = BigInt(prefix + digits);
+      return new Token(TokenType.INT, startSpan, value === '-' ? -magnitude : magnitude);
+    }
+
+    // Integer part
+    value += this.readDigits(10);
+
     // Decimal part
     if (this.peek() === '.' && this.peekNext() >= '0' && this.peekNext() <= '9') {
       isFloat = true;
       value += this.bump(); // .
-      while (this.peek() !== null && this.peek() >= '0' && this.peek() <= '9') {
-        value += this.bump();
-      }
+      value += this.readDigits(10);
     }
 
     // Exponent
@@ -258,15 +540,13 @@ export class Lexer {
       if (this.peek() === '+' || this.peek() === '-') {
         value += this.bump();
       }
-      while (this.peek() !== null && this.peek() >= '0' && this.peek() <= '9') {
-        value += this.bump();
-      }
+      value += this.readDigits(10);
     }
 
     if (isFloat) {
       const floatVal = parseFloat(value);
       if (isNaN(floatVal)) {
-        throw new XCDNError(ErrorKind.InvalidNumber, startSpan, value);
+        this.report(new XCDNError(ErrorKind.InvalidNumber, startSpan, value));
       }
       return new Token(TokenType.FLOAT, startSpan, floatVal);
     } else {
@@ -275,64 +555,150 @@ export class Lexer {
         const intVal = BigInt(value);
         return new Token(TokenType.INT, startSpan, intVal);
       } catch {
-        throw new XCDNError(ErrorKind.InvalidNumber, startSpan, value);
+        this.report(new XCDNError(ErrorKind.InvalidNumber, startSpan, value));
+        return new Token(TokenType.INT, startSpan, 0n);
       }
     }
   }
 
+  /**
+   * Appends text to a string, key or identifier being read. Reports it as
+   * soon as it grows past the limit, so that an unterminated one cannot
+   * take all memory; once reported, further text is dropped.
+   * @param {string} value - Text read so far
+   * @param {string} text
+   * @param {Span} start - Start of the token
+   * @param {number} [max=this.maxStringLength]
+   * @returns {string}
+   */
+  append(value, text, start, max = this.maxStringLength) {
+    if (value.length > max) {
+      return value; // Already reported
+    }
+    const result = value + text;
+    if (result.length > max) {
+      this.report(new XCDNError(ErrorKind.MaxStringLengthExceeded, start, `more than ${max} characters`));
+    }
+    return result;
+  }
+
   /**
    * Reads a normal string "..."
+   * @param {Span} start - Start of the token
+   * @param {number} [max=this.maxStringLength] - Longest accepted value
    * @returns {string}
    */
-  readStringContent() {
+  readStringContent(start, max = this.maxStringLength) {
     let value = '';
 
     while (true) {
       const ch = this.bump();
       if (ch === null) {
-        throw new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated string');
+        this.report(new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated string'));
+        break;
       }
       if (ch === '"') {
         break;
       }
       if (ch === '\\') {
+        const escapeStart = new Span(
+          this.byteOffset - this.unitBytes('\\'), this.line, this.column - 1, this.origin + this.pos - 1
+        );
         const escaped = this.bump();
         if (escaped === null) {
-          throw new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated escape sequence');
+          this.report(new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated escape sequence'));
+          break;
         }
+        let text = '';
         switch (escaped) {
-          case '"': value += '"'; break;
-          case '\\': value += '\\'; break;
-          case '/': value += '/'; break;
-          case 'b': value += '\b'; break;
-          case 'f': value += '\f'; break;
-          case 'n': value += '\n'; break;
-          case 'r': value += '\r'; break;
-          case 't': value += '\t'; break;
-          case 'u': {
-            // Unicode escape \uXXXX
-            let hex = '';
-            for (let i = 0; i < 4; i++) {
-              const h = this.bump();
-              if (h === null || !this.isHexDigit(h)) {
-                throw new XCDNError(ErrorKind.InvalidEscape, this.span(), '\\u requires 4 hex digits');
-              }
-              hex += h;
-            }
-            value += String.fromCharCode(parseInt(hex, 16));
+          case '"': text = '"'; break;
+          case '\\': text = '\\'; break;
+          case '/': text = '/'; break;
+          case 'b': text = '\b'; break;
+          case 'f': text = '\f'; break;
+          case 'n': text = '\n'; break;
+          case 'r': text = '\r'; break;
+          case 't': text = '\t'; break;
+          case 'u':
+            text = this.readUnicodeEscape(escapeStart);
             break;
-          }
           default:
-            throw new XCDNError(ErrorKind.InvalidEscape, this.span(), `Unknown escape: \\${escaped}`);
+            this.report(new XCDNError(ErrorKind.InvalidEscape, this.span(), `Unknown escape: \\${escaped}`));
         }
+        value = this.append(value, text, start, max);
       } else {
-        value += ch;
+        value = this.append(value, ch, start, max);
       }
     }
 
     return value;
   }
 
+  /**
+   * Reads the rest of a `\\uXXXX` or `\\u{X...}` escape. An escaped high
+   * surrogate must be followed by an escaped low surrogate; the pair is
+   * combined into one code point.
+   * @param {Span} start - Position of the backslash
+   * @returns {string} Decoded text, empty if the escape is invalid
+   */
+  readUnicodeEscape(start) {
+    if (this.peek() === '{') {
+      this.bump(); // {
+      const hex = this.readHexDigits(6);
+      if (hex.length === 0 || this.peek() !== '}') {
+        this.report(new XCDNError(ErrorKind.InvalidEscape, start, '\\u{...} requires 1 to 6 hex digits'));
+        return '';
+      }
+      this.bump(); // }
+      const code = parseInt(hex, 16);
+      if (code > 0x10FFFF) {
+        this.report(new XCDNError(ErrorKind.InvalidEscape, start, `Code point out of range: \\u{${hex}}`));
+        return '';
+      }
+      if (isSurrogate(code)) {
+        this.report(new XCDNError(ErrorKind.InvalidEscape, start, `Lone surrogate: \\u{${hex}}`));
+        return '';
+      }
+      return String.fromCodePoint(code);
+    }
+
+    const hex = this.readHexDigits(4);
+    if (hex.length < 4) {
+      this.report(new XCDNError(ErrorKind.InvalidEscape, start, '\\u requires 4 hex digits'));
+      return '';
+    }
+    const code = parseInt(hex, 16);
+    if (!isSurrogate(code)) {
+      return String.fromCharCode(code);
+    }
+    if (code <= 0xDBFF) {
+      if (this.pos + 6 > this.source.length) {
+        this.exhausted = true; // The low half may be in the next chunk
+      }
+      LOW_SURROGATE_ESCAPE.lastIndex = this.pos;
+      if (LOW_SURROGATE_ESCAPE.test(this.source)) {
+        const low = this.source.slice(this.pos + 2, this.pos + 6);
+        for (let i = 0; i < 6; i++) this.bump();
+        return String.fromCharCode(code, parseInt(low, 16));
+      }
+    }
+    this.report(new XCDNError(ErrorKind.InvalidEscape, start, `Lone surrogate: \\u${hex}`));
+    return '';
+  }
+
+  /**
+   * Consumes up to max hexadecimal digits
+   * @param {number} max
+   * @returns {string}
+   */
+  readHexDigits(max) {
+    let hex = '';
+    while (hex.length < max && this.peek() !== null && this.isHexDigit(this.peek())) {
+      hex += this.bump();
+    }
+    return hex;
+  }
+
   /**
    * Checks if the character is a hexadecimal digit
    * @param {string} ch
@@ -346,22 +712,51 @@ export class Lexer {
 
   /**
    * Reads a triple string """..."""
+   *
+   * When the opening delimiter ends its line, the block is dedented (see
+   * dedent); otherwise the text is kept exactly as written. maxStringLength
+   * applies to the text as written, indentation included.
+   * @param {Span} start - Start of the token
    * @returns {string}
    */
-  readTripleString() {
+  readTripleString(start) {
     let value = '';
 
     while (true) {
       const ch = this.bump();
       if (ch === null) {
-        throw new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated triple-quoted string');
+        this.report(new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated triple-quoted string'));
+        break;
       }
       if (ch === '"' && this.peek() === '"' && this.peekNext() === '"') {
         this.bump(); // "
         this.bump(); // "
         break;
       }
-      value += ch;
+      value = this.append(value, ch, start);
+    }
+
+    return /^\r?\n/.test(value) ? dedent(value) : value;
+  }
+
+  /**
+   * Reads a raw string `...`, taken verbatim without escape processing
+   * @param {Span} start - Start of the token
+   * @returns {string}
+   */
+  readRawString(start) {
+    let value = '';
+
+    while (true) {
+      const ch = this.bump();
+      if (ch === null) {
+        this.report(new XCDNError(ErrorKind.Eof, this.span(), 'Unterminated raw string'));
+        break;
+      }
+      if (ch === '`') {
+        break;
+      }
+      value = this.append(value, ch, start);
     }
 
     return value;
@@ -372,6 +767,18 @@ export class Lexer {
    * @returns {Token}
    */
   nextToken() {
+    this.leading = this.keepTrivia ? [] : null;
+    const token = this.readToken();
+    token.end = this.span();
+    token.leading = this.leading;
+    return token;
+  }
+
+  /**
+   * Reads the next token, leaving its end position unset
+   * @returns {Token}
+   */
+  readToken() {
     this.skipWsAndComments();
 
     const startSpan = this.span();
@@ -426,32 +833,23 @@ export class Lexer {
       if (this.peek() === '"' && this.peekNext() === '"') {
         this.bump(); // "
         this.bump(); // "
-        const value = this.readTripleString();
+        const value = this.readTripleString(startSpan);
         return new Token(TokenType.TRIPLE_STRING, startSpan, value);
       }
 
-      const value = this.readStringContent();
+      const value = this.readStringContent(startSpan);
       return new Token(TokenType.STRING, startSpan, value);
     }
 
-    // Typed strings (d", b", u", t", r")
-    if ((ch === 'd' || ch === 'b' || ch === 'u' || ch === 't' || ch === 'r') &&
-        this.peekNext() === '"') {
-      const prefix = this.bump();
-      this.bump(); // "
-      const value = this.readStringContent();
-
-      switch (prefix) {
-        case 'd': return new Token(TokenType.D_QUOTED, startSpan, value);
-        case 'b': return new Token(TokenType.B_QUOTED, startSpan, value);
-        case 'u': return new Token(TokenType.U_QUOTED, startSpan, value);
-        case 't': return new Token(TokenType.T_QUOTED, startSpan, value);
-        case 'r': return new Token(TokenType.R_QUOTED, startSpan, value);
-      }
+    if (ch === '`') {
+      this.bump(); // opening `
+      const value = this.readRawString(startSpan);
+      return new Token(TokenType.RAW_STRING, startSpan, value);
     }
 
-    // Identifiers
-    if (this.isIdentStart(ch)) {
+    // Identifiers and typed strings
+    const codePoint = this.peekCodePoint();
+    if (this.isIdentStart(codePoint)) {
       return this.readIdent();
     }
 
@@ -462,14 +860,27 @@ export class Lexer {
         ch === '-') {
       // Verify it's a valid number
       if (ch === '.' && !(this.peekNext() >= '0' && this.peekNext() <= '9')) {
-        throw new XCDNError(ErrorKind.InvalidToken, startSpan, ch);
+        return this.skipInvalid(startSpan, ch);
       }
-      if ((ch === '+' || ch === '-') && !(this.peekNext() >= '0' && this.peekNext() <= '9') && this.peekNext() !== '.') {
-        throw new XCDNError(ErrorKind.InvalidToken, startSpan, ch);
+      if ((ch === '+' || ch === '-') && !(this.peekNext() >= '0' && this.peekNext() <= '9') &&
+          this.peekNext() !== '.' && !this.isInfinityAt(this.pos + 1)) {
+        return this.skipInvalid(startSpan, ch);
       }
       return this.readNumber();
     }
 
-    throw new XCDNError(ErrorKind.InvalidToken, startSpan, ch);
+    return this.skipInvalid(startSpan, codePoint);
+  }
+
+  /**
+   * Reports an unexpected character, then skips it when collecting diagnostics
+   * @param {Span} span
+   * @param {string} ch - Unexpected code point
+   * @returns {Token}
+   */
+  skipInvalid(span, ch) {
+    this.report(new XCDNError(ErrorKind.InvalidToken, span, ch));
+    for (let i = 0; i < ch.length; i++) this.bump();
+    return this.readToken();
   }
 }
@@ -0,0 +1,210 @@
+/**
+ * xCDN Literals Module
+ * Registry of typed string literals (d"...", b"...", ip"...", ...)
+ */
+
+import { ValueType, DecimalValue, Bytes, DateTime, Duration, Uuid } from './ast.js';
+import { ErrorKind } from './error.js';
+
+/**
+ * Decode Base64 (standard or URL-safe)
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function decodeBase64(str) {
+  try {
+    // Try standard base64
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch {
+    // Try URL-safe base64
+    try {
+      const urlSafe = str.replace(/-/g, '+').replace(/_/g, '/');
+      // Add padding if needed
+      const padded = urlSafe + '='.repeat((4 - urlSafe.length % 4) % 4);
+      const binary = atob(padded);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    } catch {
+      throw new Error(`Invalid base64: ${str}`);
+    }
+  }
+}
+
+/**
+ * Typed literal definition
+ * @typedef {Object} LiteralDefinition
+ * @property {string} prefix - Letters before the opening quote, e.g. 'ip'
+ * @property {Function} type - ValueType subclass of the parsed values
+ * @property {(text: string) => ValueType} parse - Validates and decodes the
+ *   text between the quotes; throws to reject it (an `index` property on the
+ *   error points the reported span at that character)
+ * @property {(value: ValueType, serializer: Serializer) => string} format -
+ *   Text to write between the quotes
+ * @property {string} [errorKind] - ErrorKind reported for rejected text
+ *   (InvalidLiteral by default)
+ */
+
+// Prefixes that are keywords rather than literal prefixes
+const KEYWORDS = ['true', 'false', 'null'];
+
+/**
+ * Typed literals known to a parser or serializer, by prefix and by type
+ */
+export class LiteralRegistry {
+  /**
+   * @param {Iterable<LiteralDefinition>} [literals] - Initial definitions
+   */
+  constructor(literals = []) {
+    this.byPrefix = new Map();
+    this.byType = new Map();
+    for (const literal of literals) {
+      this.register(literal);
+    }
+  }
+
+  /**
+   * Adds a literal type
+   * @param {LiteralDefinition} literal
+   * @returns {LiteralRegistry} This registry
+   */
+  register(literal) {
+    const { prefix, type, parse, format } = literal;
+    if (typeof prefix !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(prefix) || KEYWORDS.includes(prefix)) {
+      throw new TypeError(`Invalid literal prefix: ${prefix}`);
+    }
+    if (typeof type !== 'function' || !(type.prototype instanceof ValueType)) {
+      throw new TypeError(`Literal ${prefix} needs a ValueType subclass as type`);
+    }
+    if (typeof parse !== 'function' || typeof format !== 'function') {
+      throw new TypeError(`Literal ${prefix} needs parse and format functions`);
+    }
+    if (this.byPrefix.has(prefix)) {
+      throw new Error(`Literal prefix already registered: ${prefix}`);
+    }
+    this.byPrefix.set(prefix, literal);
+    this.byType.set(type, literal);
+    return this;
+  }
+
+  /**
+   * Removes a literal type
+   * @param {string} prefix
+   * @returns {boolean} Whether it was registered
+   */
+  unregister(prefix) {
+    const literal = this.byPrefix.get(prefix);
+    if (literal === undefined) {
+      return false;
+    }
+    this.byPrefix.delete(prefix);
+    if (this.byType.get(literal.type) === literal) {
+      this.byType.delete(literal.type);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {LiteralDefinition|undefined}
+   */
+  get(prefix) {
+    return this.byPrefix.get(prefix);
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {boolean}
+   */
+  has(prefix) {
+    return this.byPrefix.has(prefix);
+  }
+
+  /**
+   * Finds the literal type a value is written as
+   * @param {*} value
+   * @returns {LiteralDefinition|undefined}
+   */
+  forValue(value) {
+    const exact = this.byType.get(value?.constructor);
+    if (exact !== undefined) {
+      return exact;
+    }
+    for (const literal of this.byType.values()) {
+      if (value instanceof literal.type) {
+        return literal;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @returns {LiteralRegistry} An independent copy
+   */
+  clone() {
+    return new LiteralRegistry(this.byPrefix.values());
+  }
+}
+
+/**
+ * Built-in literal types
+ * @type {LiteralDefinition[]}
+ */
+export const BUILTIN_LITERALS = [
+  {
+    prefix: 'd',
+    type: DecimalValue,
+    errorKind: ErrorKind.InvalidDecimal,
+    parse: (text) => new DecimalValue(text),
+    format: (value) => value.value,
+  },
+  {
+    prefix: 'b',
+    type: Bytes,
+    errorKind: ErrorKind.InvalidBase64,
+    parse: (text) => new Bytes(decodeBase64(text)),
+    format: (value, serializer) => serializer.encodeBase64(value.value),
+  },
+  {
+    prefix: 'u',
+    type: Uuid,
+    errorKind: ErrorKind.InvalidUuid,
+    parse: (text) => new Uuid(text),
+    format: (value) => value.value,
+  },
+  {
+    prefix: 't',
+    type: DateTime,
+    errorKind: ErrorKind.InvalidDateTime,
+    parse: (text) => DateTime.parse(text),
+    format: (value, serializer) => serializer.formatDateTime(value),
+  },
+  {
+    prefix: 'r',
+    type: Duration,
+    errorKind: ErrorKind.InvalidDuration,
+    parse: (text) => new Duration(text),
+    format: (value) => value.toCanonical(),
+  },
+];
+
+/**
+ * Registry used when no other is given; holds the built-in literals
+ */
+export const defaultLiterals = new LiteralRegistry(BUILTIN_LITERALS);
+
+/**
+ * Adds a literal type to the default registry
+ * @param {LiteralDefinition} literal
+ * @returns {LiteralRegistry} The default registry
+ */
+export function registerLiteral(literal) {
+  return defaultLiterals.register(literal);
+}
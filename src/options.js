@@ -0,0 +1,170 @@
+/**
+ * xCDN Options Module
+ * Validated parser options
+ */
+
+import { Int } from './ast.js';
+import { LiteralRegistry, defaultLiterals } from './literals.js';
+import { readUuidPolicy } from './uuid.js';
+
+/**
+ * Accepted values of the duplicateKeys option
+ */
+const DUPLICATE_KEY_POLICIES = ['error', 'first', 'last', 'collect'];
+
+/**
+ * Accepted values of the integers option
+ */
+const INTEGER_MODES = ['bigint', 'number', 'auto'];
+
+/**
+ * Accepted values of the implicitObject option
+ */
+const IMPLICIT_OBJECT_MODES = ['auto', 'force', 'forbid'];
+
+/**
+ * Resource limit options, all unlimited by default
+ */
+const LIMITS = [
+  'maxInputLength', 'maxDepth', 'maxStringLength', 'maxBytesLength', 'maxEntries', 'maxDecorations'
+];
+
+/**
+ * Checks that an option is one of its accepted values
+ * @param {string} name
+ * @param {string} value
+ * @param {string[]} accepted
+ * @returns {string} The value
+ */
+function oneOf(name, value, accepted) {
+  if (!accepted.includes(value)) {
+    throw new Error(`Invalid ${name}: ${value} (expected ${accepted.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Reads the resource limits from parser options
+ * @param {Object} options
+ * @returns {Object<string, number>}
+ */
+function readLimits(options) {
+  const limits = {};
+  for (const name of LIMITS) {
+    const value = options[name] ?? Infinity;
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    limits[name] = value;
+  }
+  return limits;
+}
+
+/**
+ * Reads the typed literals to accept
+ * @param {LiteralRegistry|string[]|undefined} literals
+ * @returns {LiteralRegistry}
+ */
+function readLiterals(literals) {
+  if (literals === undefined || literals instanceof LiteralRegistry) {
+    return literals ?? defaultLiterals;
+  }
+  if (!Array.isArray(literals)) {
+    throw new Error('Invalid literals: expected a LiteralRegistry or an array of prefixes');
+  }
+  return new LiteralRegistry(literals.map((prefix) => {
+    const literal = defaultLiterals.get(prefix);
+    if (literal === undefined) {
+      throw new Error(`Invalid literals: unknown prefix ${prefix}`);
+    }
+    return literal;
+  }));
+}
+
+/**
+ * Options of Parser, parseStr, parseTolerant and StreamParser, checked and
+ * with their defaults filled in. Wherever options are accepted, a plain
+ * object with the same properties works too, and a ParseOptions can be
+ * spread into a plain object to change some of them.
+ */
+export class ParseOptions {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.recover=false] - Collect diagnostics and resync
+   *   at `,`, `}` and `]` instead of throwing on the first error
+   * @param {boolean} [options.trivia=false] - Attach comments and blank lines
+   *   to nodes and remember the source for lossless serialization
+   * @param {boolean} [options.strict=false] - Require commas between entries
+   *   and reject duplicate keys
+   * @param {string} [options.duplicateKeys] - What a repeated key does:
+   *   'error', 'first' (keep the first value), 'last' (keep the last value) or
+   *   'collect' (gather all values in an array). Defaults to 'error' when
+   *   strict, 'last' otherwise
+   * @param {string} [options.integers='bigint'] - Type of `Int` values:
+   *   'bigint', 'number' (large values lose precision) or 'auto' (number
+   *   when it is a safe integer, bigint otherwise)
+   * @param {string} [options.implicitObject='auto'] - Top-level `key: value`
+   *   entries without braces: 'auto' (detected from the first entry),
+   *   'force' (the document is always one object) or 'forbid' (never)
+   * @param {boolean} [options.keepLexemes=false] - Store the source spelling
+   *   of numbers (`lexeme`), which the serializer reuses while it still reads
+   *   as the same value
+   * @param {LiteralRegistry|string[]} [options.literals] - Typed literals to
+   *   accept: a registry, or the prefixes to enable from the shared one
+   *   (defaults to the whole shared registry, see registerLiteral)
+   * @param {UuidPolicy} [options.uuidPolicy] - Restricts the accepted
+   *   `u"..."` values, e.g. `{versions: [4, 7], allowNil: false}` (see uuid.js)
+   * @param {NodeCallback} [options.reviver] - Called with `(key, node, path)`
+   *   for every parsed node, children first; may replace or drop it (see
+   *   transform.js)
+   * @param {number} [options.maxInputLength] - Longest accepted input, in
+   *   characters (UTF-16 code units); for streams, counted from the start
+   * @param {number} [options.maxDepth] - Deepest accepted nesting of objects
+   *   and arrays
+   * @param {number} [options.maxStringLength] - Longest accepted string, key
+   *   or identifier, in characters
+   * @param {number} [options.maxBytesLength] - Largest accepted decoded
+   *   `b"..."` value, in bytes
+   * @param {number} [options.maxEntries] - Most entries accepted in one
+   *   object, array or annotation argument list
+   * @param {number} [options.maxDecorations] - Most tags and annotations
+   *   accepted on one value
+   */
+  constructor(options = {}) {
+    this.recover = Boolean(options.recover);
+    this.trivia = Boolean(options.trivia);
+    this.strict = Boolean(options.strict);
+    this.duplicateKeys = oneOf(
+      'duplicateKeys policy',
+      options.duplicateKeys ?? (this.strict ? 'error' : 'last'),
+      DUPLICATE_KEY_POLICIES
+    );
+    this.integers = oneOf('integers', options.integers ?? 'bigint', INTEGER_MODES);
+    this.implicitObject = oneOf('implicitObject', options.implicitObject ?? 'auto', IMPLICIT_OBJECT_MODES);
+    this.keepLexemes = Boolean(options.keepLexemes);
+    this.literals = readLiterals(options.literals);
+    this.uuidPolicy = readUuidPolicy(options.uuidPolicy);
+    this.reviver = options.reviver ?? null;
+    if (this.reviver !== null && typeof this.reviver !== 'function') {
+      throw new Error('Invalid reviver: expected a function');
+    }
+    Object.assign(this, readLimits(options));
+  }
+
+  /**
+   * @param {ParseOptions|Object} [options]
+   * @returns {ParseOptions} The options, checked unless they already were
+   */
+  static from(options = {}) {
+    return options instanceof ParseOptions ? options : new ParseOptions(options);
+  }
+
+  /**
+   * Converts a parsed integer according to the integers option
+   * @param {bigint} value
+   * @returns {bigint|number}
+   */
+  integerValue(value) {
+    return Int.convert(value, this.integers);
+  }
+}
@@ -3,84 +3,276 @@
  * Recursive descent parser for the xCDN format
  */
 
-import { Lexer, TokenType, Token } from './lexer.js';
-import { XCDNError, ErrorKind } from './error.js';
+import { Lexer, TokenType, Token, radixOf } from './lexer.js';
+import { Span, XCDNError, ErrorKind, Diagnostic, Range } from './error.js';
 import {
   Document, Directive, Node, Tag, Annotation,
-  Null, Bool, Int, Float, DecimalValue, XString, Bytes,
-  DateTime, Duration, Uuid, XArray, XObject
+  Null, Bool, Int, Float, XString, Bytes, Uuid, XArray, XObject
 } from './ast.js';
+import { Trivia, NEWLINE, recordOriginal } from './cst.js';
+import { ParseOptions } from './options.js';
+import { decodeBytes } from './encoding.js';
+import { reviveDocument } from './transform.js';
+import { uuidPolicyViolation } from './uuid.js';
 
 /**
- * Decode Base64 (standard or URL-safe)
- * @param {string} str
- * @returns {Uint8Array}
+ * Computes the position of a source index at or after the lexer position
+ * @param {Lexer} lexer
+ * @param {number} index - Index in lexer.source
+ * @returns {Span}
  */
-function decodeBase64(str) {
-  try {
-    // Try standard base64
-    const binary = atob(str);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
+function positionAt(lexer, index) {
+  return lexer.positionAfter(lexer.span(), lexer.source.slice(lexer.pos, index));
+}
+
+/**
+ * xCDN Parser
+ */
+export class Parser {
+  /**
+   * @param {string|Lexer} source - Source code, or a lexer positioned on it
+   * @param {ParseOptions|Object} [options] - See ParseOptions
+   */
+  constructor(source, options = {}) {
+    this.options = ParseOptions.from(options);
+    this.lexer = source instanceof Lexer ? source : new Lexer(source, this.options);
+    this.diagnostics = this.options.recover ? [] : null;
+    this.lexer.diagnostics = this.diagnostics;
+    this.lexer.keepTrivia = this.options.trivia;
+    this.strict = this.options.strict;
+    this.keepLexemes = this.options.keepLexemes;
+    this.literals = this.options.literals;
+    this.duplicateKeys = this.options.duplicateKeys;
+    this.lexer.maxStringLength = this.options.maxStringLength;
+    const { maxInputLength } = this.options;
+    if (this.lexer.origin + this.lexer.source.length > maxInputLength) {
+      throw new XCDNError(
+        ErrorKind.MaxInputLengthExceeded,
+        positionAt(this.lexer, Math.max(maxInputLength - this.lexer.origin, this.lexer.pos)),
+        `more than ${maxInputLength} characters`
+      );
     }
-    return bytes;
-  } catch {
-    // Try URL-safe base64
-    try {
-      const urlSafe = str.replace(/-/g, '+').replace(/_/g, '/');
-      // Add padding if needed
-      const padded = urlSafe + '='.repeat((4 - urlSafe.length % 4) % 4);
-      const binary = atob(padded);
-      const bytes = new Uint8Array(binary.length);
-      for (let i = 0; i < binary.length; i++) {
-        bytes[i] = binary.charCodeAt(i);
+    this.depth = 0; // Objects and arrays being parsed
+    this.closers = []; // Closing tokens of the containers being parsed
+    this.lastEnd = this.lexer.span(); // End of the last consumed token
+    this.lastToken = null; // Last consumed token
+    this.current = this.lexer.nextToken();
+  }
+
+  /**
+   * Records the source range of a parsed element
+   * @param {Object} element - AST element
+   * @param {Span} start - Position of its first token
+   * @returns {Object} The element
+   */
+  locate(element, start) {
+    element.range = new Range(start, this.lastEnd);
+    if (this.lexer.keepTrivia) {
+      recordOriginal(element, this.lexer.source);
+    }
+    return element;
+  }
+
+  /**
+   * Takes the comments and blank lines before the current token
+   * @returns {Trivia|null} Null unless trivia is kept
+   */
+  leadingTrivia() {
+    const items = this.peek().leading;
+    return items === null ? null : Trivia.fromLeading(items.splice(0));
+  }
+
+  /**
+   * Takes the comments before the current token as the dangling comments of
+   * the container (or document) it closes
+   * @returns {Trivia|null} Null unless trivia is kept
+   */
+  danglingTrivia() {
+    const items = this.peek().leading;
+    if (items === null) {
+      return null;
+    }
+    return new Trivia(0, [], [], items.splice(0).filter(item => item !== NEWLINE));
+  }
+
+  /**
+   * Attaches the comments on the same line before the current token to the
+   * element that precedes it
+   * @param {Trivia|null} trivia - Trivia of the preceding element
+   */
+  takeTrailing(trivia) {
+    if (trivia !== null) {
+      trivia.trailing.push(...Trivia.takeSameLine(this.peek().leading));
+    }
+  }
+
+  /**
+   * Consumes the comma after an element, with its trailing comments.
+   * In strict mode the comma is required unless the container ends.
+   * @param {Trivia|null} trivia - Trivia of the element
+   * @param {string} [closing] - Token ending the enclosing container
+   */
+  parseSeparator(trivia, closing = null) {
+    this.takeTrailing(trivia);
+    if (this.peek().kind === TokenType.COMMA) {
+      this.bump();
+      this.takeTrailing(trivia);
+    } else if (this.strict && closing !== null && !this.atClosing(closing)) {
+      this.report(new XCDNError(
+        ErrorKind.Expected,
+        this.peek().span,
+        `Expected COMMA or ${closing}, found ${this.peek().kind}`
+      ));
+    }
+  }
+
+  /**
+   * Throws an error, or records it when collecting diagnostics
+   * @param {Error} error
+   */
+  report(error) {
+    if (this.diagnostics === null || !(error instanceof XCDNError)) {
+      throw error;
+    }
+    this.diagnostics.push(Diagnostic.fromError(error));
+  }
+
+  /**
+   * Skips tokens up to the next entry separator or enclosing closer
+   */
+  synchronize() {
+    let depth = 0;
+    while (true) {
+      const kind = this.peek().kind;
+      if (kind === TokenType.EOF) {
+        return;
       }
-      return bytes;
-    } catch {
-      throw new Error(`Invalid base64: ${str}`);
+      if (depth === 0) {
+        if (kind === TokenType.COMMA) {
+          this.bump();
+          return;
+        }
+        if (this.closers.includes(kind)) {
+          return;
+        }
+      }
+      if (kind === TokenType.LBRACE || kind === TokenType.LBRACKET || kind === TokenType.LPAREN) {
+        depth++;
+      } else if ((kind === TokenType.RBRACE || kind === TokenType.RBRACKET || kind === TokenType.RPAREN) && depth > 0) {
+        depth--;
+      }
+      this.bump();
     }
   }
-}
 
-/**
- * Validates and parses UUID
- * @param {string} str
- * @returns {string}
- */
-function parseUuid(str) {
-  const uuidRegex = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
-  if (!uuidRegex.test(str)) {
-    throw new Error(`Invalid UUID: ${str}`);
+  /**
+   * Returns the source text of a token
+   * @param {Token} token
+   * @returns {string}
+   */
+  lexeme(token) {
+    const { origin, source } = this.lexer;
+    return source.slice(token.span.index - origin, token.end.index - origin);
   }
-  return str.toLowerCase();
-}
 
-/**
- * Parses RFC3339 datetime
- * @param {string} str
- * @returns {Date}
- */
-function parseDateTime(str) {
-  // Replace Z with +00:00 for compatibility
-  const normalized = str.replace('Z', '+00:00');
-  const date = new Date(normalized);
-  if (isNaN(date.getTime())) {
-    throw new Error(`Invalid datetime: ${str}`);
+  /**
+   * Stores the source spelling of a number when keepLexemes is set
+   * @param {Int|Float} number
+   * @param {string} lexeme
+   * @returns {Int|Float} The number
+   */
+  keepLexeme(number, lexeme) {
+    if (this.keepLexemes) {
+      number.lexeme = lexeme;
+    }
+    return number;
   }
-  return date;
-}
 
-/**
- * xCDN Parser
- */
-export class Parser {
   /**
-   * @param {string} source - Source code
+   * Locates a character of a typed string's content (after `prefix"`). Falls
+   * back to the token when escapes make the source differ from the value.
+   * @param {Token} token
+   * @param {number} [index] - Index in token.value
+   * @returns {Span}
    */
-  constructor(source) {
-    this.lexer = new Lexer(source);
-    this.current = this.lexer.nextToken();
+  contentSpan(token, index) {
+    const skip = token.prefix.length + 1;
+    const begin = token.span.index - this.lexer.origin + skip;
+    const raw = this.lexer.source.slice(begin, begin + token.value.length + 1);
+    if (index === undefined || raw !== `${token.value}"`) {
+      return token.span;
+    }
+    const source = this.lexer.source.slice(begin - skip, begin + index);
+    return this.lexer.positionAfter(token.span, source);
+  }
+
+  /**
+   * Counts a container being entered
+   * @param {Span} span - Position of its first token
+   */
+  enterContainer(span) {
+    if (this.depth >= this.options.maxDepth) {
+      throw new XCDNError(
+        ErrorKind.MaxDepthExceeded,
+        span,
+        `more than ${this.options.maxDepth} levels`
+      );
+    }
+    this.depth++;
+  }
+
+  /**
+   * Checks that a container can take one more entry. When recovering, the
+   * entries over the limit are reported once and skipped.
+   * @param {number} count - Entries parsed so far
+   * @param {string} closing - Token ending the container
+   * @returns {boolean} Whether the entry can be parsed
+   */
+  acceptEntry(count, closing) {
+    if (count < this.options.maxEntries) {
+      return true;
+    }
+    this.report(new XCDNError(
+      ErrorKind.MaxEntriesExceeded,
+      this.peek().span,
+      `more than ${this.options.maxEntries} entries`
+    ));
+    while (!this.atClosing(closing)) {
+      this.synchronize();
+    }
+    return false;
+  }
+
+  /**
+   * Checks whether a container loop should stop at the current token
+   * @param {string} closing - Token that ends the container
+   * @returns {boolean}
+   */
+  atClosing(closing) {
+    const kind = this.peek().kind;
+    if (kind === closing) {
+      return true;
+    }
+    // When recovering, a missing closer is reported by closeContainer
+    return this.diagnostics !== null &&
+      (kind === TokenType.EOF || this.closers.includes(kind));
+  }
+
+  /**
+   * Consumes the closing token of a container
+   * @param {string} closing - Expected closing token
+   */
+  closeContainer(closing) {
+    this.closers.pop();
+    if (this.diagnostics !== null && this.peek().kind !== closing) {
+      this.report(new XCDNError(
+        ErrorKind.Expected,
+        this.peek().span,
+        `Expected ${closing}, found ${this.peek().kind}`
+      ));
+      return;
+    }
+    this.expect(closing);
   }
 
   /**
@@ -97,6 +289,8 @@ export class Parser {
    */
   bump() {
     const token = this.current;
+    this.lastEnd = token.end;
+    this.lastToken = token;
     this.current = this.lexer.nextToken();
     return token;
   }
@@ -157,43 +351,72 @@ export class Parser {
 
     // Parse prolog directives ($name: value)
     while (this.peek().kind === TokenType.DOLLAR) {
-      this.bump(); // $
-      const name = this.parseIdentString();
-      this.expect(TokenType.COLON);
-      const value = this.parseNode();
-      prolog.push(new Directive(name, value));
-      if (this.peek().kind === TokenType.COMMA) {
-        this.bump();
+      try {
+        prolog.push(this.parseDirective());
+      } catch (e) {
+        this.report(e);
+        this.synchronize();
       }
     }
 
     // Detect implicit object vs stream
-    if (this.peek().kind !== TokenType.EOF) {
-      const isImplicitObject = this.isImplicitObject();
+    const { implicitObject } = this.options;
+    if (this.peek().kind !== TokenType.EOF || implicitObject === 'force') {
+      const isImplicitObject = implicitObject === 'force' ||
+        (implicitObject === 'auto' && this.isImplicitObject());
 
       if (isImplicitObject) {
         // Parse implicit object
-        const objMap = new Map();
-        while (this.peek().kind !== TokenType.EOF) {
-          const key = this.parseKey();
-          this.expect(TokenType.COLON);
-          const node = this.parseNode();
-          objMap.set(key, node);
-          if (this.peek().kind === TokenType.COMMA) {
-            this.bump();
-          }
-        }
-        values.push(new Node([], [], new XObject(objMap)));
+        const start = this.peek().span;
+        this.enterContainer(start);
+        const obj = this.locate(this.parseEntries(TokenType.EOF), start);
+        this.depth--;
+        values.push(this.locate(new Node([], [], obj), start));
       } else {
         // Parse stream of values
         while (this.peek().kind !== TokenType.EOF) {
-          const node = this.parseNode();
-          values.push(node);
+          const trivia = this.leadingTrivia();
+          try {
+            const node = this.parseNode();
+            node.trivia = trivia;
+            values.push(node);
+          } catch (e) {
+            this.report(e);
+            this.synchronize();
+            continue;
+          }
+          this.takeTrailing(trivia);
         }
       }
     }
 
-    return new Document(prolog, values);
+    const doc = new Document(prolog, values);
+    if (this.lexer.keepTrivia) {
+      doc.source = this.lexer.source;
+      doc.trivia = this.danglingTrivia();
+      recordOriginal(doc, doc.source);
+    }
+    if (this.options.reviver !== null) {
+      reviveDocument(doc, this.options.reviver);
+    }
+    return doc;
+  }
+
+  /**
+   * Parses a prolog directive ($name: value) and its optional comma
+   * @returns {Directive}
+   */
+  parseDirective() {
+    const start = this.peek().span;
+    const trivia = this.leadingTrivia();
+    this.expect(TokenType.DOLLAR);
+    const name = this.parseIdentString();
+    this.expect(TokenType.COLON);
+    const value = this.parseNode();
+    const directive = this.locate(new Directive(name, value), start);
+    directive.trivia = trivia;
+    this.parseSeparator(trivia);
+    return directive;
   }
 
   /**
@@ -208,7 +431,11 @@ export class Parser {
       const savedPos = this.lexer.pos;
       const savedLine = this.lexer.line;
       const savedColumn = this.lexer.column;
+      const savedByteOffset = this.lexer.byteOffset;
       const savedCurrent = this.current;
+      const savedLastEnd = this.lastEnd;
+      const savedLastToken = this.lastToken;
+      const savedDiagnostics = this.diagnostics?.length;
 
       // Consume and check
       this.bump();
@@ -219,7 +446,13 @@ export class Parser {
       this.lexer.pos = savedPos;
       this.lexer.line = savedLine;
       this.lexer.column = savedColumn;
+      this.lexer.byteOffset = savedByteOffset;
       this.current = savedCurrent;
+      this.lastEnd = savedLastEnd;
+      this.lastToken = savedLastToken;
+      if (this.diagnostics !== null) {
+        this.diagnostics.length = savedDiagnostics;
+      }
 
       return isObject;
     }
@@ -231,12 +464,23 @@ export class Parser {
    * @returns {Node}
    */
   parseNode() {
+    const start = this.peek().span;
     const tags = [];
     const annotations = [];
 
     // Parse decorations
     while (true) {
-      if (this.peek().kind === TokenType.AT) {
+      const decorationStart = this.peek().span;
+      const kind = this.peek().kind;
+      if ((kind === TokenType.AT || kind === TokenType.HASH) &&
+          tags.length + annotations.length >= this.options.maxDecorations) {
+        throw new XCDNError(
+          ErrorKind.MaxDecorationsExceeded,
+          decorationStart,
+          `more than ${this.options.maxDecorations} decorations`
+        );
+      }
+      if (kind === TokenType.AT) {
         this.bump(); // @
         const name = this.parseIdentString();
         const args = [];
@@ -244,6 +488,13 @@ export class Parser {
           this.bump(); // (
           if (this.peek().kind !== TokenType.RPAREN) {
             while (true) {
+              if (args.length >= this.options.maxEntries) {
+                throw new XCDNError(
+                  ErrorKind.MaxEntriesExceeded,
+                  this.peek().span,
+                  `more than ${this.options.maxEntries} entries`
+                );
+              }
               const val = this.parseValue();
               args.push(val);
               if (this.peek().kind === TokenType.COMMA) {
@@ -261,18 +512,18 @@ export class Parser {
           }
           this.expect(TokenType.RPAREN);
         }
-        annotations.push(new Annotation(name, args));
-      } else if (this.peek().kind === TokenType.HASH) {
+        annotations.push(this.locate(new Annotation(name, args), decorationStart));
+      } else if (kind === TokenType.HASH) {
         this.bump(); // #
         const name = this.parseIdentString();
-        tags.push(new Tag(name));
+        tags.push(this.locate(new Tag(name), decorationStart));
       } else {
         break;
       }
     }
 
     const value = this.parseValue();
-    return new Node(tags, annotations, value);
+    return this.locate(new Node(tags, annotations, value), start);
   }
 
   /**
@@ -280,6 +531,52 @@ export class Parser {
    * @returns {*}
    */
   parseValue() {
+    const start = this.peek().span;
+    return this.locate(this.parseBareValue(), start);
+  }
+
+  /**
+   * Converts a typed string with the literal registered for its prefix
+   * @param {Token} token - Already consumed
+   * @returns {*}
+   */
+  parseTypedLiteral(token) {
+    const literal = this.literals.get(token.prefix);
+    if (literal === undefined) {
+      throw new XCDNError(ErrorKind.InvalidLiteral, token.span, `unknown prefix ${token.prefix}`);
+    }
+
+    let value;
+    try {
+      value = literal.parse(token.value);
+    } catch (e) {
+      const kind = literal.errorKind ?? ErrorKind.InvalidLiteral;
+      const context = kind === ErrorKind.InvalidLiteral ? `${token.prefix}"${token.value}"` : token.value;
+      throw new XCDNError(kind, this.contentSpan(token, e.index), context);
+    }
+
+    if (value instanceof Uuid && this.options.uuidPolicy !== null) {
+      const violation = uuidPolicyViolation(value.value, this.options.uuidPolicy);
+      if (violation !== null) {
+        throw new XCDNError(ErrorKind.InvalidUuid, this.contentSpan(token, 0), `${token.value} (${violation})`);
+      }
+    }
+
+    if (value instanceof Bytes && value.value.length > this.options.maxBytesLength) {
+      throw new XCDNError(
+        ErrorKind.MaxBytesLengthExceeded,
+        token.span,
+        `${value.value.length} bytes, limit ${this.options.maxBytesLength}`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Parses a value without recording its range
+   * @returns {*}
+   */
+  parseBareValue() {
     const token = this.peek();
 
     switch (token.kind) {
@@ -291,6 +588,7 @@ export class Parser {
 
       case TokenType.STRING:
       case TokenType.TRIPLE_STRING:
+      case TokenType.RAW_STRING:
         this.bump();
         return new XString(token.value);
 
@@ -306,48 +604,38 @@ export class Parser {
         this.bump();
         return new Null();
 
-      case TokenType.INT:
+      case TokenType.INT: {
         this.bump();
-        return new Int(token.value);
+        const lexeme = this.lexeme(token);
+        const int = new Int(token.value, radixOf(lexeme));
+        int.value = this.options.integerValue(int.value);
+        return this.keepLexeme(int, lexeme);
+      }
 
       case TokenType.FLOAT:
         this.bump();
-        return new Float(token.value);
+        return this.keepLexeme(new Float(token.value), this.lexeme(token));
 
       case TokenType.D_QUOTED:
-        this.bump();
-        return new DecimalValue(token.value);
-
       case TokenType.B_QUOTED:
-        this.bump();
-        try {
-          const bytes = decodeBase64(token.value);
-          return new Bytes(bytes);
-        } catch (e) {
-          throw new XCDNError(ErrorKind.InvalidBase64, token.span, token.value);
-        }
-
       case TokenType.U_QUOTED:
-        this.bump();
-        try {
-          const uuid = parseUuid(token.value);
-          return new Uuid(uuid);
-        } catch (e) {
-          throw new XCDNError(ErrorKind.InvalidUuid, token.span, token.value);
-        }
-
       case TokenType.T_QUOTED:
-        this.bump();
-        try {
-          const dt = parseDateTime(token.value);
-          return new DateTime(dt);
-        } catch (e) {
-          throw new XCDNError(ErrorKind.InvalidDateTime, token.span, token.value);
-        }
-
       case TokenType.R_QUOTED:
+      case TokenType.TYPED_QUOTED:
         this.bump();
-        return new Duration(token.value);
+        return this.parseTypedLiteral(token);
+
+      case TokenType.IDENT:
+        // Non-finite floats; other identifiers are not values
+        if (token.value === 'inf' || token.value === 'nan') {
+          this.bump();
+          return this.keepLexeme(new Float(token.value === 'inf' ? Infinity : NaN), token.value);
+        }
+        throw new XCDNError(
+          ErrorKind.InvalidToken,
+          token.span,
+          `Unexpected token: ${token.kind}`
+        );
 
       case TokenType.EOF:
         throw new XCDNError(ErrorKind.Eof, token.span, 'Unexpected end of input');
@@ -366,22 +654,96 @@ export class Parser {
    * @returns {XObject}
    */
   parseObject() {
+    this.enterContainer(this.peek().span);
     this.expect(TokenType.LBRACE);
-    const objMap = new Map();
+    this.closers.push(TokenType.RBRACE);
+    const obj = this.parseEntries(TokenType.RBRACE);
+    obj.trivia = this.danglingTrivia();
+    this.closeContainer(TokenType.RBRACE);
+    this.depth--;
+    return obj;
+  }
 
-    while (this.peek().kind !== TokenType.RBRACE) {
-      const key = this.parseKey();
-      this.expect(TokenType.COLON);
-      const node = this.parseNode();
-      objMap.set(key, node);
+  /**
+   * Parses key: value entries up to a closing token
+   * @param {string} closing - Token ending the entries (RBRACE, or EOF for implicit objects)
+   * @returns {XObject}
+   */
+  parseEntries(closing) {
+    const objMap = new Map();
+    const keyRanges = new Map();
+    const collected = new Set();
+    let count = 0;
 
-      if (this.peek().kind === TokenType.COMMA) {
-        this.bump();
+    while (!this.atClosing(closing)) {
+      if (!this.acceptEntry(count++, closing)) {
+        break;
+      }
+      const trivia = this.leadingTrivia();
+      try {
+        const keyStart = this.peek().span;
+        const key = this.parseKey();
+        const keyRange = new Range(keyStart, this.lastEnd);
+        this.expect(TokenType.COLON);
+        const node = this.parseNode();
+        node.trivia = trivia;
+        if (objMap.has(key)) {
+          this.mergeDuplicate(objMap, keyRanges, collected, key, keyRange, node);
+        } else {
+          objMap.set(key, node);
+          keyRanges.set(key, keyRange);
+        }
+      } catch (e) {
+        this.report(e);
+        this.synchronize();
+        continue;
       }
+
+      this.parseSeparator(trivia, closing);
     }
 
-    this.expect(TokenType.RBRACE);
-    return new XObject(objMap);
+    const obj = new XObject(objMap);
+    obj.keyRanges = keyRanges;
+    return obj;
+  }
+
+  /**
+   * Applies the duplicate key policy to a repeated key
+   * @param {Map<string, Node>} objMap - Entries parsed so far
+   * @param {Map<string, Range>} keyRanges - Ranges of the keys parsed so far
+   * @param {Set<string>} collected - Keys whose values were gathered in an array
+   * @param {string} key - Repeated key
+   * @param {Range} keyRange - Range of the repeated occurrence
+   * @param {Node} node - Value of the repeated occurrence
+   */
+  mergeDuplicate(objMap, keyRanges, collected, key, keyRange, node) {
+    switch (this.duplicateKeys) {
+      case 'error': {
+        const first = keyRanges.get(key).start;
+        // When recovering, the first value is kept
+        this.report(new XCDNError(
+          ErrorKind.DuplicateKey,
+          keyRange.start,
+          `"${key}" (first defined at ${first.toString()})`,
+          first
+        ));
+        break;
+      }
+      case 'first':
+        break;
+      case 'last':
+        objMap.set(key, node);
+        keyRanges.set(key, keyRange);
+        break;
+      case 'collect':
+        if (collected.has(key)) {
+          objMap.get(key).value.append(node);
+        } else {
+          objMap.set(key, new Node([], [], new XArray([objMap.get(key), node])));
+          collected.add(key);
+        }
+        break;
+    }
   }
 
   /**
@@ -389,39 +751,89 @@ export class Parser {
    * @returns {XArray}
    */
   parseArray() {
+    this.enterContainer(this.peek().span);
     this.expect(TokenType.LBRACKET);
+    this.closers.push(TokenType.RBRACKET);
     const items = [];
+    let count = 0;
 
-    while (this.peek().kind !== TokenType.RBRACKET) {
-      const node = this.parseNode();
-      items.push(node);
-
-      if (this.peek().kind === TokenType.COMMA) {
-        this.bump();
+    while (!this.atClosing(TokenType.RBRACKET)) {
+      if (!this.acceptEntry(count++, TokenType.RBRACKET)) {
+        break;
+      }
+      const trivia = this.leadingTrivia();
+      try {
+        const node = this.parseNode();
+        node.trivia = trivia;
+        items.push(node);
+      } catch (e) {
+        this.report(e);
+        this.synchronize();
+        continue;
       }
+
+      this.parseSeparator(trivia, TokenType.RBRACKET);
     }
 
-    this.expect(TokenType.RBRACKET);
-    return new XArray(items);
+    const arr = new XArray(items);
+    arr.trivia = this.danglingTrivia();
+    this.closeContainer(TokenType.RBRACKET);
+    this.depth--;
+    return arr;
   }
 }
 
 /**
  * Parses an xCDN string
  * @param {string} source - Source code
+ * @param {ParseOptions|Object} [options] - See ParseOptions
+ * @returns {Document}
+ */
+export function parseStr(source, options = {}) {
+  const parser = new Parser(source, options);
+  return parser.parseDocument();
+}
+
+/**
+ * Parses xCDN bytes. A byte order mark selects UTF-8, UTF-16LE or UTF-16BE;
+ * without one the input must be UTF-8. Span offsets count bytes of the input,
+ * byte order mark included.
+ * @param {Uint8Array} bytes - Bytes, e.g. a Buffer read from a file
+ * @param {ParseOptions|Object} [options] - See ParseOptions
  * @returns {Document}
+ * @throws {XCDNError} InvalidEncoding at the first malformed byte
  */
-export function parseStr(source) {
-  const parser = new Parser(source);
+export function parseBytes(bytes, options = {}) {
+  const { text, encoding, bomLength } = decodeBytes(bytes);
+  const lexer = new Lexer(text);
+  lexer.encoding = encoding;
+  lexer.byteOffset = bomLength;
+  const parser = new Parser(lexer, options);
   return parser.parseDocument();
 }
 
+/**
+ * Parses an xCDN string, collecting every error instead of stopping at the first
+ *
+ * The parser resyncs at `,`, `}` and `]`, so entries that fail to parse are
+ * left out of the returned document.
+ * @param {string} source - Source code
+ * @param {ParseOptions|Object} [options] - See ParseOptions; recover is implied
+ * @returns {{document: Document, diagnostics: Diagnostic[]}}
+ */
+export function parseTolerant(source, options = {}) {
+  const parser = new Parser(source, { ...options, recover: true });
+  const document = parser.parseDocument();
+  return { document, diagnostics: parser.diagnostics };
+}
+
 /**
  * Parses from a reader (Python compatibility)
  * @param {{read: () => string}} reader
+ * @param {ParseOptions|Object} [options] - See ParseOptions
  * @returns {Document}
  */
-export function parseReader(reader) {
+export function parseReader(reader, options = {}) {
   const source = reader.read();
-  return parseStr(source);
+  return parseStr(source, options);
 }
@@ -0,0 +1,348 @@
+/**
+ * xCDN Pointer Module
+ * RFC 6901 JSON Pointers over documents
+ *
+ * A pointer is a sequence of `/`-prefixed segments, with `~0` standing for
+ * `~` and `~1` for `/` inside a segment. Segments select object entries by
+ * key and array items by index; `-` is the position after the last item.
+ *
+ * Pointers start at the first top-level value of the document, as get()
+ * does, and follow RFC 6901 from there: `/$ref` is the `$ref` key. The
+ * `root` option starts them elsewhere: `{ root: 1 }` at the second
+ * top-level value and `{ root: 'schema' }` at the value of the `$schema`
+ * directive.
+ */
+
+import { Directive, Node, ValueType, XArray, XObject } from './ast.js';
+import { nodeFromJS } from './convert.js';
+
+/**
+ * Error of a pointer operation, naming the segment where it failed
+ */
+export class PointerError extends Error {
+  /**
+   * @param {string} pointer - The whole pointer
+   * @param {string[]} segments - Its decoded segments
+   * @param {number} index - Position of the failing segment
+   * @param {string} reason
+   */
+  constructor(pointer, segments, index, reason) {
+    const at = formatPointer(segments.slice(0, index + 1));
+    const segment = segments[index] ?? null;
+    super(segment === null
+      ? `${reason} (pointer ${JSON.stringify(pointer)})`
+      : `${reason} at segment ${JSON.stringify(segment)} (${at} of pointer ${JSON.stringify(pointer)})`);
+    this.name = 'PointerError';
+    this.pointer = pointer;
+    this.segment = segment; // Decoded segment, null when the pointer itself is malformed
+    this.at = at; // Pointer up to the failing segment
+  }
+}
+
+/**
+ * Splits a pointer into its decoded segments
+ * @param {string} pointer - `''` or a string starting with `/`
+ * @returns {string[]}
+ * @throws {PointerError} If the pointer is malformed
+ */
+export function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw new PointerError(String(pointer), [], 0, 'A pointer must be empty or start with "/"');
+  }
+  if (pointer === '') {
+    return [];
+  }
+  const raw = pointer.slice(1).split('/');
+  return raw.map((segment, i) => {
+    if (/~(?![01])/.test(segment)) {
+      throw new PointerError(pointer, raw, i, 'Invalid escape: "~" must be followed by 0 or 1');
+    }
+    return segment.replaceAll('~1', '/').replaceAll('~0', '~');
+  });
+}
+
+/**
+ * Joins segments into a pointer, escaping `~` and `/`
+ * @param {(string|number)[]} segments - Keys and indexes, e.g. a query path
+ * @returns {string}
+ */
+export function formatPointer(segments) {
+  return segments.map(segment => `/${String(segment).replaceAll('~', '~0').replaceAll('/', '~1')}`).join('');
+}
+
+/**
+ * Wraps a value in a node, converting plain values with nodeFromJS
+ * @param {*} value
+ * @returns {Node}
+ */
+function toNode(value) {
+  if (value instanceof Node) {
+    return value;
+  }
+  return value instanceof ValueType ? new Node([], [], value) : nodeFromJS(value);
+}
+
+/**
+ * Describes the value of a node for errors
+ * @param {Node} node
+ * @returns {string}
+ */
+function describe(node) {
+  return node.value?.constructor?.name ?? String(node.value);
+}
+
+/**
+ * Where a pointer starts: the index of a top-level value, or the name of a
+ * directive without its `$`
+ * @typedef {number|string} PointerRoot
+ */
+
+/**
+ * Checks the root option
+ * @param {PointerRoot} root
+ * @returns {PointerRoot}
+ */
+function readRoot(root) {
+  if (typeof root === 'string' ? root === '' : !(Number.isInteger(root) && root >= 0)) {
+    throw new TypeError(`Invalid root: ${String(root)} (expected a value index or a directive name)`);
+  }
+  return root;
+}
+
+/**
+ * Place a segment refers to, in an object, an array, the top-level values
+ * or the prolog
+ * @typedef {Object} Slot
+ * @property {() => (Node|undefined)} get
+ * @property {(node: Node) => void} set
+ * @property {() => Node} remove - Removes and returns the node
+ */
+
+/**
+ * Follows a pointer through a document
+ */
+class Walker {
+  /**
+   * @param {Document} doc
+   * @param {string} pointer
+   * @param {PointerRoot} [root=0]
+   */
+  constructor(doc, pointer, root = 0) {
+    this.doc = doc;
+    this.pointer = pointer;
+    this.segments = parsePointer(pointer);
+    this.root = readRoot(root);
+  }
+
+  /**
+   * @param {number} index - Position of the failing segment
+   * @param {string} reason
+   * @returns {PointerError}
+   */
+  fail(index, reason) {
+    return new PointerError(this.pointer, this.segments, index, reason);
+  }
+
+  /**
+   * Slot of an array item
+   * @param {XArray} array
+   * @param {string} segment - Index or `-`
+   * @param {number} i - Position of the segment
+   * @param {string} [what='the array'] - The array, for errors
+   * @returns {Slot}
+   */
+  itemSlot(array, segment, i, what = 'the array') {
+    if (segment !== '-' && !/^(0|[1-9][0-9]*)$/.test(segment)) {
+      throw this.fail(i, 'Expected an array index or "-"');
+    }
+    const index = segment === '-' ? array.length : Number(segment);
+    return {
+      get: () => array.get(index),
+      set: (node) => {
+        if (index > array.length) {
+          throw this.fail(i, `Index ${index} is past the end of ${what} (length ${array.length})`);
+        }
+        array.set(index, node);
+      },
+      remove: () => {
+        if (index >= array.length) {
+          throw this.fail(i, `No item ${index} in ${what} (length ${array.length})`);
+        }
+        return array.value.splice(index, 1)[0];
+      },
+    };
+  }
+
+  /**
+   * Slot of an object entry
+   * @param {XObject} object
+   * @param {number} i - Position of the segment
+   * @returns {Slot}
+   */
+  entrySlot(object, i) {
+    const key = this.segments[i];
+    return {
+      get: () => object.get(key),
+      set: (node) => object.set(key, node),
+      remove: () => {
+        if (!object.has(key)) {
+          throw this.fail(i, `No key ${JSON.stringify(key)} in the object`);
+        }
+        const node = object.get(key);
+        object.value.delete(key);
+        object.keyRanges.delete(key);
+        return node;
+      },
+    };
+  }
+
+  /**
+   * Slot of a prolog directive
+   * @param {string} name
+   * @returns {Slot}
+   */
+  directiveSlot(name) {
+    const { prolog } = this.doc;
+    const find = () => prolog.findIndex(directive => directive.name === name);
+    return {
+      get: () => prolog[find()]?.value,
+      set: (node) => {
+        const at = find();
+        if (at === -1) {
+          prolog.push(new Directive(name, node));
+        } else {
+          if (node.trivia === null) node.trivia = prolog[at].value.trivia;
+          prolog[at].value = node;
+        }
+      },
+      remove: () => {
+        const at = find();
+        if (at === -1) {
+          throw this.fail(-1, `No directive $${name} in the prolog`);
+        }
+        return prolog.splice(at, 1)[0].value;
+      },
+    };
+  }
+
+  /**
+   * Slot of a segment inside a node's value
+   * @param {Node} node
+   * @param {number} i - Position of the segment
+   * @returns {Slot}
+   */
+  childSlot(node, i) {
+    if (node.value instanceof XObject) {
+      return this.entrySlot(node.value, i);
+    }
+    if (node.value instanceof XArray) {
+      return this.itemSlot(node.value, this.segments[i], i);
+    }
+    throw this.fail(i, `Cannot step into ${describe(node)}`);
+  }
+
+  /**
+   * Slot of the root: a top-level value or a directive
+   * @returns {Slot}
+   */
+  rootSlot() {
+    if (typeof this.root === 'string') {
+      return this.directiveSlot(this.root);
+    }
+    const values = new XArray(this.doc.values); // Shares the array
+    return this.itemSlot(values, String(this.root), -1, 'the document');
+  }
+
+  /**
+   * Finds the slot the pointer refers to
+   * @param {string} mode - What happens to missing containers on the way:
+   *   'error', 'create' or 'skip' (resolve to null)
+   * @returns {Slot|null}
+   */
+  resolve(mode) {
+    let slot = this.rootSlot();
+    for (let i = 0; i < this.segments.length; i++) {
+      let node = slot.get();
+      if (node === undefined) {
+        if (mode === 'skip') {
+          return null;
+        }
+        if (mode !== 'create') {
+          const root = typeof this.root === 'string' ? `directive $${this.root}` : `top-level value ${this.root}`;
+          throw this.fail(i - 1, i === 0 ? `No ${root} to step into` : 'No value to step into');
+        }
+        node = new Node([], [], /^(0|[1-9][0-9]*|-)$/.test(this.segments[i]) ? new XArray() : new XObject());
+        slot.set(node);
+      }
+      slot = this.childSlot(node, i);
+    }
+    return slot;
+  }
+}
+
+/**
+ * Gets the node a pointer refers to
+ * @param {Document} doc
+ * @param {string} pointer
+ * @param {Object} [options]
+ * @param {PointerRoot} [options.root=0] - Where the pointer starts
+ * @returns {Node|undefined} Undefined when a key or index is missing
+ * @throws {PointerError} If the pointer is malformed or steps into a value
+ *   that is not an object or array
+ */
+export function getAt(doc, pointer, { root } = {}) {
+  return new Walker(doc, pointer, root).resolve('skip')?.get();
+}
+
+/**
+ * Sets the node a pointer refers to, replacing or adding it
+ * @param {Document} doc
+ * @param {string} pointer
+ * @param {*} value - Node, value, or plain value converted with nodeFromJS
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Create missing containers on the
+ *   way: arrays before index segments, objects otherwise
+ * @param {PointerRoot} [options.root=0] - Where the pointer starts; with the
+ *   empty pointer, setting root to the number of values appends one
+ * @returns {Node} The node set
+ * @throws {PointerError} If a container on the way is missing (without
+ *   create) or not an object or array, or an index is past the end
+ */
+export function setAt(doc, pointer, value, { create = false, root } = {}) {
+  const node = toNode(value);
+  new Walker(doc, pointer, root).resolve(create ? 'create' : 'error').set(node);
+  return node;
+}
+
+/**
+ * Removes the node a pointer refers to; later array items move down
+ * @param {Document} doc
+ * @param {string} pointer
+ * @param {Object} [options]
+ * @param {PointerRoot} [options.root=0] - Where the pointer starts
+ * @returns {Node} The removed node
+ * @throws {PointerError} If there is nothing to remove
+ */
+export function deleteAt(doc, pointer, { root } = {}) {
+  return new Walker(doc, pointer, root).resolve('error').remove();
+}
+
+/**
+ * Makes sure a pointer refers to a node, creating missing containers on the
+ * way and an empty object at the end
+ * @param {Document} doc
+ * @param {string} pointer
+ * @param {Object} [options]
+ * @param {PointerRoot} [options.root=0] - Where the pointer starts
+ * @returns {Node} The existing or created node
+ * @throws {PointerError} If a container on the way is not an object or array
+ */
+export function ensurePath(doc, pointer, { root } = {}) {
+  const slot = new Walker(doc, pointer, root).resolve('create');
+  let node = slot.get();
+  if (node === undefined) {
+    node = new Node([], [], new XObject());
+    slot.set(node);
+  }
+  return node;
+}
@@ -0,0 +1,491 @@
+/**
+ * xCDN Query Module
+ * Path queries over documents and nodes
+ *
+ * A query is a sequence of steps, optionally after `$` and separated by
+ * optional whitespace:
+ *
+ * - `name`, `.name`, `["name"]` - the entry of an object
+ * - `.*`, `[*]` - every entry of an object or item of an array
+ * - `[1]`, `[-1]` - an array item, counted from the end when negative
+ * - `[1:3]`, `[::2]`, `[::-1]` - array slices, as in Python
+ * - `[0, "a", 2:]` - several of the above, in order
+ * - `..name`, `..*`, `..[0]` - the same at any depth below
+ * - `#tag` - keeps the nodes with that tag
+ * - `@name`, `@name(args)` - keeps the nodes with that annotation; with
+ *   arguments, only where they are equal (`@mime("image/png")`)
+ * - `:type` - keeps the nodes of that value type (`:string`, `:int`, ...)
+ *
+ * Filters also follow `..` to search at any depth (`..#admin`).
+ *
+ * Loading this module also adds `query(expression)` to Document and Node.
+ * It is defined here and not in ast.js, which cannot import the parser.
+ */
+
+import {
+  Document, Node, Null, Bool, Int, Float, DecimalValue, XString, Bytes,
+  DateTime, Duration, Uuid, XArray, XObject
+} from './ast.js';
+import { Lexer, TokenType, isIdentStart, isIdentContinue } from './lexer.js';
+import { parseStr } from './parser.js';
+import { equals } from './equals.js';
+
+/**
+ * Value types by the name used in `:type` filters
+ */
+const VALUE_TYPES = {
+  null: Null,
+  bool: Bool,
+  int: Int,
+  float: Float,
+  decimal: DecimalValue,
+  string: XString,
+  bytes: Bytes,
+  datetime: DateTime,
+  duration: Duration,
+  uuid: Uuid,
+  array: XArray,
+  object: XObject,
+};
+
+/**
+ * A node found by a query
+ * @typedef {Object} QueryMatch
+ * @property {Node} node
+ * @property {(string|number)[]} path - Object keys and array indexes from
+ *   the top-level value to the node
+ * @property {number} index - Position of that top-level value in the
+ *   document (0 when querying a node)
+ */
+
+/**
+ * Creates the error for a malformed query
+ * @param {string} source
+ * @param {number} index - Position of the offending character
+ * @param {string} reason
+ * @returns {SyntaxError} Error with an `index` property
+ */
+function queryError(source, index, reason) {
+  const error = new SyntaxError(`Invalid query at ${index}: ${reason} in ${JSON.stringify(source)}`);
+  error.index = index;
+  return error;
+}
+
+/**
+ * Children of a node with their keys or indexes
+ * @param {Node} node
+ * @returns {[string|number, Node][]}
+ */
+function childrenOf(node) {
+  if (node.value instanceof XObject) {
+    return [...node.value.value];
+  }
+  if (node.value instanceof XArray) {
+    return node.value.value.map((child, i) => [i, child]);
+  }
+  return [];
+}
+
+/**
+ * Indexes selected by a slice, as in Python
+ * @param {{start: ?number, end: ?number, step: number}} slice
+ * @param {number} length
+ * @returns {number[]}
+ */
+function sliceIndexes({ start, end, step }, length) {
+  const clamp = (i, low, high) => Math.min(Math.max(i < 0 ? i + length : i, low), high);
+  const indexes = [];
+  if (step > 0) {
+    const last = end === null ? length : clamp(end, 0, length);
+    for (let i = start === null ? 0 : clamp(start, 0, length); i < last; i += step) {
+      indexes.push(i);
+    }
+  } else {
+    const last = end === null ? -1 : clamp(end, -1, length - 1);
+    for (let i = start === null ? length - 1 : clamp(start, -1, length - 1); i > last; i += step) {
+      indexes.push(i);
+    }
+  }
+  return indexes;
+}
+
+/**
+ * Reads a query into steps
+ */
+class QueryReader {
+  /**
+   * @param {string} source
+   */
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  error(reason, index = this.pos) {
+    return queryError(this.source, index, reason);
+  }
+
+  skipWhitespace() {
+    while (/\s/.test(this.peek() ?? '')) this.pos++;
+  }
+
+  /**
+   * @returns {Object[]} Steps
+   */
+  readSteps() {
+    const steps = [];
+    this.skipWhitespace();
+    if (this.peek() === '$') {
+      this.pos++;
+    }
+    this.skipWhitespace();
+    while (this.pos < this.source.length) {
+      steps.push(this.readStep(steps.length === 0));
+      this.skipWhitespace();
+    }
+    return steps;
+  }
+
+  /**
+   * @param {boolean} first - Whether a bare name is allowed
+   * @returns {Object}
+   */
+  readStep(first) {
+    const ch = this.peek();
+    if (ch === '.' && this.peek(1) === '.') {
+      this.pos += 2;
+      const next = this.peek();
+      if (next === '#' || next === '@' || next === ':') {
+        return { kind: 'descendant', selectors: [{ wildcard: true }], filter: this.readFilter() };
+      }
+      const selectors = next === '[' ? this.readBracket() : [this.readMember()];
+      return { kind: 'descendant', selectors };
+    }
+    if (ch === '.') {
+      this.pos++;
+      return { kind: 'child', selectors: [this.readMember()] };
+    }
+    if (ch === '[') {
+      return { kind: 'child', selectors: this.readBracket() };
+    }
+    if (ch === '#' || ch === '@' || ch === ':') {
+      return { kind: 'filter', filter: this.readFilter() };
+    }
+    if (first && ch !== '*' && isIdentStart(String.fromCodePoint(this.source.codePointAt(this.pos)))) {
+      return { kind: 'child', selectors: [this.readMember()] };
+    }
+    throw this.error(`unexpected ${JSON.stringify(ch)}`);
+  }
+
+  /**
+   * Reads `*` or a name after `.`
+   * @returns {Object} Selector
+   */
+  readMember() {
+    if (this.peek() === '*') {
+      this.pos++;
+      return { wildcard: true };
+    }
+    if (this.peek() === '"' || this.peek() === '`') {
+      return { name: this.readString() };
+    }
+    return { name: this.readIdent('a name') };
+  }
+
+  /**
+   * @param {string} what - What is expected, for errors
+   * @returns {string}
+   */
+  readIdent(what) {
+    const start = this.pos;
+    let first = true;
+    while (this.pos < this.source.length) {
+      const ch = String.fromCodePoint(this.source.codePointAt(this.pos));
+      if (!(first ? isIdentStart(ch) : isIdentContinue(ch))) break;
+      this.pos += ch.length;
+      first = false;
+    }
+    if (this.pos === start) {
+      throw this.error(`expected ${what}`);
+    }
+    return this.source.slice(start, this.pos);
+  }
+
+  /**
+   * Reads an xCDN string literal
+   * @returns {string}
+   */
+  readString() {
+    const start = this.pos;
+    let token;
+    try {
+      token = new Lexer(this.source.slice(start)).nextToken();
+    } catch (e) {
+      throw this.error(e.message);
+    }
+    if (token.kind !== TokenType.STRING && token.kind !== TokenType.RAW_STRING) {
+      throw this.error('expected a string');
+    }
+    this.pos = start + token.end.index;
+    return token.value;
+  }
+
+  /**
+   * Reads `[...]` with one or more comma-separated selectors
+   * @returns {Object[]} Selectors
+   */
+  readBracket() {
+    this.pos++; // [
+    const selectors = [];
+    while (true) {
+      this.skipWhitespace();
+      selectors.push(this.readSelector());
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() === ']') {
+        this.pos++;
+        return selectors;
+      } else {
+        throw this.error('expected "," or "]"');
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} Selector inside brackets
+   */
+  readSelector() {
+    const ch = this.peek();
+    if (ch === '*') {
+      this.pos++;
+      return { wildcard: true };
+    }
+    if (ch === '"' || ch === '`') {
+      return { name: this.readString() };
+    }
+    const start = this.readInt();
+    this.skipWhitespace();
+    if (this.peek() !== ':') {
+      if (start === null) {
+        throw this.error('expected an index, a slice, a string or "*"');
+      }
+      return { index: start };
+    }
+    this.pos++;
+    this.skipWhitespace();
+    const end = this.readInt();
+    this.skipWhitespace();
+    let step = 1;
+    if (this.peek() === ':') {
+      this.pos++;
+      this.skipWhitespace();
+      const at = this.pos;
+      step = this.readInt() ?? 1;
+      if (step === 0) {
+        throw this.error('slice step cannot be 0', at);
+      }
+    }
+    return { slice: { start, end, step } };
+  }
+
+  /**
+   * @returns {number|null} The integer, or null if there is none
+   */
+  readInt() {
+    const match = /-?[0-9]+/y;
+    match.lastIndex = this.pos;
+    const found = match.exec(this.source);
+    if (!found) {
+      return null;
+    }
+    this.pos = match.lastIndex;
+    return Number(found[0]);
+  }
+
+  /**
+   * Reads `#tag`, `@name(args)` or `:type`
+   * @returns {(node: Node) => boolean}
+   */
+  readFilter() {
+    const ch = this.peek();
+    this.pos++;
+    if (ch === '#') {
+      const name = this.readIdent('a tag name');
+      return node => node.tags.some(tag => tag.name === name);
+    }
+    if (ch === ':') {
+      const start = this.pos;
+      const name = this.readIdent('a type name');
+      const type = VALUE_TYPES[name];
+      if (type === undefined) {
+        throw this.error(`unknown type ${name} (expected ${Object.keys(VALUE_TYPES).join(', ')})`, start);
+      }
+      return node => node.value instanceof type;
+    }
+
+    const name = this.readIdent('an annotation name');
+    if (this.peek() !== '(') {
+      return node => node.annotations.some(annotation => annotation.name === name);
+    }
+    const args = this.readArguments(name);
+    return node => node.annotations.some(annotation =>
+      annotation.name === name &&
+      annotation.args.length === args.length &&
+      annotation.args.every((arg, i) => equals(arg, args[i])));
+  }
+
+  /**
+   * Reads the arguments of an annotation filter as xCDN values
+   * @param {string} name - Annotation name
+   * @returns {ValueType[]}
+   */
+  readArguments(name) {
+    const start = this.pos;
+    const lexer = new Lexer(this.source.slice(start));
+    let depth = 0;
+    try {
+      while (true) {
+        const token = lexer.nextToken();
+        if (token.kind === TokenType.EOF) {
+          throw this.error('unclosed annotation arguments', start);
+        }
+        if (token.kind === TokenType.LPAREN) depth++;
+        if (token.kind === TokenType.RPAREN && --depth === 0) {
+          this.pos = start + token.end.index;
+          break;
+        }
+      }
+      return parseStr(`@${name}${this.source.slice(start, this.pos)} null`).values[0].annotations[0].args;
+    } catch (e) {
+      if (e instanceof SyntaxError) throw e;
+      throw this.error(`invalid annotation arguments: ${e.message}`, start);
+    }
+  }
+}
+
+/**
+ * A parsed query, reusable on many documents
+ */
+export class Query {
+  /**
+   * @param {string} source - Query text
+   * @throws {SyntaxError} If the query is malformed, with the index of the
+   *   offending character
+   */
+  constructor(source) {
+    this.source = source;
+    this.steps = new QueryReader(source).readSteps();
+  }
+
+  /**
+   * Finds the nodes matching the query
+   * @param {Document|Node} target - A document, whose top-level values are
+   *   searched, or a node
+   * @returns {QueryMatch[]} In document order
+   */
+  run(target) {
+    let matches;
+    if (target instanceof Document) {
+      matches = target.values.map((node, index) => ({ node, path: [], index }));
+    } else if (target instanceof Node) {
+      matches = [{ node: target, path: [], index: 0 }];
+    } else {
+      throw new TypeError('Expected a Document or a Node');
+    }
+    for (const step of this.steps) {
+      matches = this.apply(step, matches);
+    }
+    return matches;
+  }
+
+  /**
+   * @param {Object} step
+   * @param {QueryMatch[]} matches
+   * @returns {QueryMatch[]}
+   */
+  apply(step, matches) {
+    if (step.kind === 'filter') {
+      return matches.filter(match => step.filter(match.node));
+    }
+    const bases = step.kind === 'descendant' ? matches.flatMap(match => [...descendantsOf(match)]) : matches;
+    const found = bases.flatMap(match => step.selectors.flatMap(selector => select(match, selector)));
+    return step.filter ? found.filter(match => step.filter(match.node)) : found;
+  }
+}
+
+/**
+ * A match and every match below it, in document order
+ * @param {QueryMatch} match
+ * @returns {Generator<QueryMatch>}
+ */
+function* descendantsOf(match) {
+  yield match;
+  for (const [key, child] of childrenOf(match.node)) {
+    yield* descendantsOf({ node: child, path: [...match.path, key], index: match.index });
+  }
+}
+
+/**
+ * Applies a selector to the children of a match
+ * @param {QueryMatch} match
+ * @param {Object} selector
+ * @returns {QueryMatch[]}
+ */
+function select(match, selector) {
+  const child = (key, node) => ({ node, path: [...match.path, key], index: match.index });
+  const { value } = match.node;
+  if (selector.wildcard) {
+    return childrenOf(match.node).map(([key, node]) => child(key, node));
+  }
+  if (selector.name !== undefined) {
+    return value instanceof XObject && value.value.has(selector.name)
+      ? [child(selector.name, value.value.get(selector.name))]
+      : [];
+  }
+  if (!(value instanceof XArray)) {
+    return [];
+  }
+  const items = value.value;
+  if (selector.index !== undefined) {
+    const i = selector.index < 0 ? selector.index + items.length : selector.index;
+    return i >= 0 && i < items.length ? [child(i, items[i])] : [];
+  }
+  return sliceIndexes(selector.slice, items.length).map(i => child(i, items[i]));
+}
+
+/**
+ * Finds the nodes of a document or node matching a query
+ * @param {Document|Node} target
+ * @param {string|Query} expression - Query text (see the module comment)
+ *   or a parsed Query
+ * @returns {QueryMatch[]} In document order
+ * @throws {SyntaxError} If the query is malformed
+ */
+export function query(target, expression) {
+  return (expression instanceof Query ? expression : new Query(expression)).run(target);
+}
+
+/**
+ * Finds the nodes of the document matching a query, as `query(doc, expression)`
+ * @param {string|Query} expression
+ * @returns {QueryMatch[]}
+ * @throws {SyntaxError} If the query is malformed
+ */
+Document.prototype.query = function (expression) {
+  return query(this, expression);
+};
+
+/**
+ * Finds the nodes below the node matching a query, as `query(node, expression)`
+ * @param {string|Query} expression
+ * @returns {QueryMatch[]}
+ * @throws {SyntaxError} If the query is malformed
+ */
+Node.prototype.query = function (expression) {
+  return query(this, expression);
+};
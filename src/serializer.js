@@ -5,9 +5,49 @@
 
 import {
   Document, Directive, Node, Tag, Annotation,
-  Null, Bool, Int, Float, DecimalValue, XString, Bytes,
-  DateTime, Duration, Uuid, XArray, XObject
+  Null, Bool, Int, Float, XString, DateTime, XArray, XObject
 } from './ast.js';
+import { isPristine, parsedFrom } from './cst.js';
+import { defaultLiterals } from './literals.js';
+import { replaceDocument } from './transform.js';
+import { Lexer, TokenType, isIdentStart, isIdentContinue, radixOf } from './lexer.js';
+
+// Literal prefixes of the non-decimal integer radixes
+const RADIX_PREFIXES = { 16: '0x', 8: '0o', 2: '0b' };
+
+// Identifiers that read as floats
+const NON_FINITE_FLOATS = { inf: Infinity, nan: NaN };
+
+/**
+ * Checks whether the kept source spelling of a number still reads as its
+ * value (and radix), so it can be written instead of the canonical form
+ * @param {Int|Float} number
+ * @returns {boolean}
+ */
+function lexemeStillValid(number) {
+  const { lexeme } = number;
+  if (typeof lexeme !== 'string') return false;
+
+  let token;
+  try {
+    token = new Lexer(lexeme).nextToken();
+  } catch {
+    return false;
+  }
+  if (token.end.index !== lexeme.length) return false;
+
+  if (number instanceof Int) {
+    return token.kind === TokenType.INT && token.value === BigInt(number.value) &&
+      radixOf(lexeme) === number.radix;
+  }
+  let value;
+  if (token.kind === TokenType.FLOAT) {
+    value = token.value;
+  } else if (token.kind === TokenType.IDENT) {
+    value = NON_FINITE_FLOATS[token.value];
+  }
+  return Object.is(value, number.value);
+}
 
 /**
  * Serialization format
@@ -31,9 +71,12 @@ export class Format {
 export class Serializer {
   /**
    * @param {Format} format
+   * @param {LiteralRegistry} [literals] - Typed literals to write (defaults to
+   *   the shared registry, see registerLiteral)
    */
-  constructor(format = new Format()) {
+  constructor(format = new Format(), literals = defaultLiterals) {
     this.format = format;
+    this.literals = literals;
     this.output = '';
     this.depth = 0;
   }
@@ -64,6 +107,56 @@ export class Serializer {
     }
   }
 
+  /**
+   * Writes the blank line and comments kept before an element (pretty only)
+   * @param {Trivia|null} trivia
+   * @param {boolean} isFirst - First element of its container
+   */
+  writeLeadingTrivia(trivia, isFirst) {
+    if (!this.format.pretty || !trivia) return;
+    if (trivia.blankLinesBefore > 0 && !isFirst) {
+      this.newline();
+    }
+    for (const comment of trivia.leading) {
+      this.writeIndent();
+      this.write(comment.text);
+      this.newline();
+    }
+  }
+
+  /**
+   * Writes the comments kept after an element on its line (pretty only)
+   * @param {Trivia|null} trivia
+   */
+  writeTrailingTrivia(trivia) {
+    if (!this.format.pretty || !trivia) return;
+    for (const comment of trivia.trailing) {
+      this.write(' ');
+      this.write(comment.text);
+    }
+  }
+
+  /**
+   * Writes the comments kept before a closing token, one per line (pretty only)
+   * @param {Trivia|null} trivia
+   */
+  writeDanglingTrivia(trivia) {
+    if (!this.hasDanglingTrivia(trivia)) return;
+    for (const comment of trivia.dangling) {
+      this.writeIndent();
+      this.write(comment.text);
+      this.newline();
+    }
+  }
+
+  /**
+   * @param {Trivia|null} trivia
+   * @returns {boolean}
+   */
+  hasDanglingTrivia(trivia) {
+    return this.format.pretty && Boolean(trivia) && trivia.dangling.length > 0;
+  }
+
   /**
    * Checks if a string is a simple identifier
    * @param {string} str
@@ -71,26 +164,11 @@ export class Serializer {
    */
   isSimpleIdent(str) {
     if (!str || str.length === 0) return false;
+    // Bare keywords would read back as values
+    if (str === 'true' || str === 'false' || str === 'null') return false;
 
-    const first = str[0];
-    if (!((first >= 'a' && first <= 'z') ||
-          (first >= 'A' && first <= 'Z') ||
-          first === '_')) {
-      return false;
-    }
-
-    for (let i = 1; i < str.length; i++) {
-      const ch = str[i];
-      if (!((ch >= 'a' && ch <= 'z') ||
-            (ch >= 'A' && ch <= 'Z') ||
-            (ch >= '0' && ch <= '9') ||
-            ch === '_' ||
-            ch === '-')) {
-        return false;
-      }
-    }
-
-    return true;
+    const [first, ...rest] = str;
+    return isIdentStart(first) && rest.every(ch => isIdentContinue(ch));
   }
 
   /**
@@ -122,6 +200,39 @@ export class Serializer {
     return result;
   }
 
+  /**
+   * Checks if a multi-line string can be written as a """ block that
+   * reads back unchanged
+   * @param {string} str
+   * @returns {boolean}
+   */
+  isBlockString(str) {
+    if (!str.includes('\n') || str.includes('"""')) return false;
+    // No escapes inside blocks; whitespace-only lines would be emptied
+    return !/[\x00-\x08\x0b-\x1f\x7f]/.test(str) &&
+      str.split('\n').every(line => line === '' || line.trim() !== '');
+  }
+
+  /**
+   * Writes a multi-line string as an indented """ block
+   * @param {string} str
+   */
+  writeBlockString(str) {
+    this.write('"""');
+    this.depth++;
+    for (const line of str.split('\n')) {
+      this.newline();
+      if (line !== '') {
+        this.writeIndent();
+        this.write(line);
+      }
+    }
+    this.newline();
+    this.writeIndent();
+    this.write('"""');
+    this.depth--;
+  }
+
   /**
    * Encode bytes in base64
    * @param {Uint8Array} bytes
@@ -135,13 +246,52 @@ export class Serializer {
     return btoa(binary);
   }
 
+  /**
+   * Formats an integer in the radix it was written in. Number values go
+   * through BigInt, since 1e21 and above would be written as floats.
+   * @param {Int} int
+   * @returns {string}
+   */
+  formatInt(int) {
+    if (lexemeStillValid(int)) {
+      return int.lexeme;
+    }
+    const value = BigInt(int.value);
+    const prefix = RADIX_PREFIXES[int.radix];
+    if (prefix === undefined) {
+      return value.toString();
+    }
+    const sign = value < 0n ? '-' : '';
+    const magnitude = value < 0n ? -value : value;
+    return sign + prefix + magnitude.toString(int.radix);
+  }
+
+  /**
+   * Formats a float so that it reads back as a float: integral values get
+   * a `.0`, non-finite values are written nan, inf and -inf
+   * @param {Float} float
+   * @returns {string}
+   */
+  formatFloat(float) {
+    if (lexemeStillValid(float)) {
+      return float.lexeme;
+    }
+    const num = float.value;
+    if (Number.isNaN(num)) return 'nan';
+    if (num === Infinity) return 'inf';
+    if (num === -Infinity) return '-inf';
+    if (Object.is(num, -0)) return '-0.0';
+    const text = num.toString();
+    return /[.e]/.test(text) ? text : `${text}.0`;
+  }
+
   /**
    * Formats datetime to RFC3339
-   * @param {Date} date
+   * @param {DateTime|Date} date - A plain Date is written in UTC
    * @returns {string}
    */
   formatDateTime(date) {
-    return date.toISOString();
+    return (date instanceof DateTime ? date : new DateTime(date)).toString();
   }
 
   /**
@@ -151,27 +301,39 @@ export class Serializer {
    */
   serialize(doc) {
     // Prolog
-    for (const directive of doc.prolog) {
-      this.serializeDirective(directive);
+    for (let i = 0; i < doc.prolog.length; i++) {
+      this.serializeDirective(doc.prolog[i], i === 0);
     }
 
     // Values
     for (let i = 0; i < doc.values.length; i++) {
       const node = doc.values[i];
+      this.writeLeadingTrivia(node.trivia, i === 0 && doc.prolog.length === 0);
       this.serializeNode(node, true);
+      this.writeTrailingTrivia(node.trivia);
       if (i < doc.values.length - 1) {
         this.newline();
       }
     }
 
+    // Comments after the last value
+    if (this.hasDanglingTrivia(doc.trivia)) {
+      if (!this.output.endsWith('\n')) {
+        this.newline();
+      }
+      this.writeDanglingTrivia(doc.trivia);
+    }
+
     return this.output;
   }
 
   /**
    * Serializes a directive
    * @param {Directive} directive
+   * @param {boolean} isFirst - First directive of the prolog
    */
-  serializeDirective(directive) {
+  serializeDirective(directive, isFirst = false) {
+    this.writeLeadingTrivia(directive.trivia, isFirst);
     this.write('$');
     this.write(directive.name);
     this.write(':');
@@ -180,6 +342,7 @@ export class Serializer {
     if (this.format.trailingCommas) {
       this.write(',');
     }
+    this.writeTrailingTrivia(directive.trivia);
     this.newline();
   }
 
@@ -222,38 +385,28 @@ export class Serializer {
    * @param {*} value
    */
   serializeValue(value) {
-    if (value instanceof Null) {
+    const literal = this.literals.forValue(value);
+    if (literal !== undefined) {
+      this.write(literal.prefix);
+      this.write('"');
+      this.write(this.escapeString(literal.format(value, this)));
+      this.write('"');
+    } else if (value instanceof Null) {
       this.write('null');
     } else if (value instanceof Bool) {
       this.write(value.value ? 'true' : 'false');
     } else if (value instanceof Int) {
-      this.write(value.value.toString());
+      this.write(this.formatInt(value));
     } else if (value instanceof Float) {
-      this.write(value.value.toString());
-    } else if (value instanceof DecimalValue) {
-      this.write('d"');
-      this.write(value.value);
-      this.write('"');
+      this.write(this.formatFloat(value));
     } else if (value instanceof XString) {
-      this.write('"');
-      this.write(this.escapeString(value.value));
-      this.write('"');
-    } else if (value instanceof Bytes) {
-      this.write('b"');
-      this.write(this.encodeBase64(value.value));
-      this.write('"');
-    } else if (value instanceof DateTime) {
-      this.write('t"');
-      this.write(this.formatDateTime(value.value));
-      this.write('"');
-    } else if (value instanceof Duration) {
-      this.write('r"');
-      this.write(value.value);
-      this.write('"');
-    } else if (value instanceof Uuid) {
-      this.write('u"');
-      this.write(value.value);
-      this.write('"');
+      if (this.format.pretty && this.isBlockString(value.value)) {
+        this.writeBlockString(value.value);
+      } else {
+        this.write('"');
+        this.write(this.escapeString(value.value));
+        this.write('"');
+      }
     } else if (value instanceof XArray) {
       this.serializeArray(value);
     } else if (value instanceof XObject) {
@@ -270,28 +423,32 @@ export class Serializer {
   serializeArray(arr) {
     this.write('[');
 
-    if (arr.value.length > 0) {
+    if (arr.value.length > 0 || this.hasDanglingTrivia(arr.trivia)) {
       if (this.format.pretty) {
         this.newline();
         this.depth++;
       }
 
       for (let i = 0; i < arr.value.length; i++) {
+        const node = arr.value[i];
+        this.writeLeadingTrivia(node.trivia, i === 0);
         if (this.format.pretty) {
           this.writeIndent();
         }
-        this.serializeNode(arr.value[i]);
+        this.serializeNode(node);
 
         if (i < arr.value.length - 1) {
           this.write(',');
         } else if (this.format.trailingCommas) {
           this.write(',');
         }
+        this.writeTrailingTrivia(node.trivia);
 
         if (this.format.pretty) {
           this.newline();
         }
       }
+      this.writeDanglingTrivia(arr.trivia);
 
       if (this.format.pretty) {
         this.depth--;
@@ -309,84 +466,207 @@ export class Serializer {
   serializeObject(obj) {
     this.write('{');
 
-    const entries = Array.from(obj.value.entries());
-
-    if (entries.length > 0) {
+    if (obj.value.size > 0 || this.hasDanglingTrivia(obj.trivia)) {
       if (this.format.pretty) {
         this.newline();
         this.depth++;
       }
 
-      for (let i = 0; i < entries.length; i++) {
-        const [key, node] = entries[i];
+      this.serializeEntries(obj);
 
-        if (this.format.pretty) {
-          this.writeIndent();
-        }
+      if (this.format.pretty) {
+        this.depth--;
+        this.writeIndent();
+      }
+    }
 
-        // Key
-        if (this.isSimpleIdent(key)) {
-          this.write(key);
-        } else {
-          this.write('"');
-          this.write(this.escapeString(key));
-          this.write('"');
-        }
+    this.write('}');
+  }
 
-        this.write(':');
-        if (this.format.pretty) this.write(' ');
+  /**
+   * Serializes the entries of an object, one per line when pretty
+   * @param {XObject} obj
+   * @param {boolean} atStart - Nothing precedes the entries in their block
+   */
+  serializeEntries(obj, atStart = true) {
+    const entries = Array.from(obj.value.entries());
 
-        // Value
-        this.serializeNode(node);
+    for (let i = 0; i < entries.length; i++) {
+      const [key, node] = entries[i];
 
-        if (i < entries.length - 1) {
-          this.write(',');
-        } else if (this.format.trailingCommas) {
-          this.write(',');
-        }
+      this.writeLeadingTrivia(node.trivia, atStart && i === 0);
+      if (this.format.pretty) {
+        this.writeIndent();
+      }
 
-        if (this.format.pretty) {
-          this.newline();
-        }
+      // Key
+      if (this.isSimpleIdent(key)) {
+        this.write(key);
+      } else {
+        this.write('"');
+        this.write(this.escapeString(key));
+        this.write('"');
       }
 
+      this.write(':');
+      if (this.format.pretty) this.write(' ');
+
+      // Value
+      this.serializeNode(node);
+
+      if (i < entries.length - 1) {
+        this.write(',');
+      } else if (this.format.trailingCommas) {
+        this.write(',');
+      }
+      this.writeTrailingTrivia(node.trivia);
+
       if (this.format.pretty) {
-        this.depth--;
-        this.writeIndent();
+        this.newline();
       }
     }
+    this.writeDanglingTrivia(obj.trivia);
+  }
+}
 
-    this.write('}');
+/**
+ * Serializer that reuses the original text of every unchanged part of a
+ * document parsed with `trivia: true`, so untouched files come back
+ * byte-for-byte and edited ones keep their comments
+ */
+export class LosslessSerializer extends Serializer {
+  /**
+   * @param {Format} format - Layout of the parts that must be reprinted
+   * @param {LiteralRegistry} [literals] - Typed literals to write
+   */
+  constructor(format = new Format(), literals = defaultLiterals) {
+    super(format, literals);
+    this.source = null;
+    this.implicitRoot = null;
+    this.pristine = new Map();
   }
+
+  /**
+   * Checks whether an element can be copied from the source
+   * @param {*} element
+   * @returns {boolean}
+   */
+  isOriginal(element) {
+    if (this.source === null || !element || !element.range) {
+      return false;
+    }
+    return isPristine(element, this.source, this.pristine);
+  }
+
+  /**
+   * Copies the original text of an element
+   * @param {Object} element
+   */
+  writeOriginal(element) {
+    this.write(this.source.slice(element.range.start.index, element.range.end.index));
+  }
+
+  serialize(doc) {
+    this.source = doc.source;
+    if (this.source === null) {
+      return super.serialize(doc);
+    }
+    if (isPristine(doc, this.source, this.pristine)) {
+      return this.source;
+    }
+
+    // Keep a top-level object without braces if it was written that way
+    const root = doc.values.length === 1 ? doc.values[0].value : null;
+    if (root instanceof XObject && parsedFrom(root, this.source) &&
+        this.source[root.range.start.index] !== '{') {
+      this.implicitRoot = root;
+    }
+    return super.serialize(doc);
+  }
+
+  serializeNode(node, isTopLevel = false) {
+    if (this.isOriginal(node)) {
+      this.writeOriginal(node);
+    } else {
+      super.serializeNode(node, isTopLevel);
+    }
+  }
+
+  serializeValue(value) {
+    if (this.isOriginal(value)) {
+      this.writeOriginal(value);
+    } else if (value === this.implicitRoot) {
+      this.serializeEntries(value, this.output === '');
+    } else {
+      super.serializeValue(value);
+    }
+  }
+}
+
+/**
+ * Options of the toString functions
+ * @typedef {Object} StringifyOptions
+ * @property {NodeCallback} [replacer] - Called with `(key, node, path)` for
+ *   every node, children first; may replace or drop it without changing the
+ *   document (see transform.js)
+ * @property {LiteralRegistry} [literals] - Typed literals to write, such as
+ *   the registry the document was parsed with (defaults to the shared one)
+ */
+
+/**
+ * Applies the replacer of stringify options
+ * @param {Document} doc
+ * @param {StringifyOptions} options
+ * @returns {Document}
+ */
+function prepare(doc, options) {
+  return options.replacer ? replaceDocument(doc, options.replacer) : doc;
 }
 
 /**
  * Serializes a document in pretty format
  * @param {Document} doc
+ * @param {StringifyOptions} [options]
  * @returns {string}
  */
-export function toStringPretty(doc) {
-  const serializer = new Serializer(new Format(true, 2, true));
-  return serializer.serialize(doc);
+export function toStringPretty(doc, options = {}) {
+  const serializer = new Serializer(new Format(true, 2, true), options.literals);
+  return serializer.serialize(prepare(doc, options));
 }
 
 /**
  * Serializes a document in compact format
  * @param {Document} doc
+ * @param {StringifyOptions} [options]
  * @returns {string}
  */
-export function toStringCompact(doc) {
-  const serializer = new Serializer(new Format(false, 0, false));
-  return serializer.serialize(doc);
+export function toStringCompact(doc, options = {}) {
+  const serializer = new Serializer(new Format(false, 0, false), options.literals);
+  return serializer.serialize(prepare(doc, options));
 }
 
 /**
  * Serializes a document with custom format
  * @param {Document} doc
  * @param {Format} format
+ * @param {StringifyOptions} [options]
+ * @returns {string}
+ */
+export function toStringWithFormat(doc, format, options = {}) {
+  const serializer = new Serializer(format, options.literals);
+  return serializer.serialize(prepare(doc, options));
+}
+
+/**
+ * Serializes a document parsed with `trivia: true`, reproducing the source
+ * exactly where it was not modified
+ * @param {Document} doc
+ * @param {Format} [format] - Layout of the parts that must be reprinted
+ * @param {Object} [options]
+ * @param {LiteralRegistry} [options.literals] - Typed literals to write
  * @returns {string}
  */
-export function toStringWithFormat(doc, format) {
-  const serializer = new Serializer(format);
+export function toStringLossless(doc, format = new Format(), options = {}) {
+  const serializer = new LosslessSerializer(format, options.literals);
   return serializer.serialize(doc);
 }
@@ -0,0 +1,209 @@
+/**
+ * xCDN Stream Module
+ * Incremental parsing of multi-value xCDN streams
+ */
+
+import { Lexer, TokenType } from './lexer.js';
+import { Parser } from './parser.js';
+import { ParseOptions } from './options.js';
+import { reviveNode } from './transform.js';
+import { XCDNError, Span } from './error.js';
+import { Directive } from './ast.js';
+
+// Pending text size above which retries of a partial value are spaced out
+const EAGER_RETRY_LIMIT = 64 * 1024;
+
+// Tokens that more input could extend: `12` may become `123`, `tru` `true`
+const GROWING_TOKENS = new Set([TokenType.INT, TokenType.FLOAT, TokenType.IDENT, TokenType.TRUE, TokenType.FALSE, TokenType.NULL]);
+
+/**
+ * Checks if the last token of a value could still be extended by more input
+ * @param {Token} token
+ * @param {number} end - Absolute index of the end of the input so far
+ * @returns {boolean}
+ */
+function mayGrow(token, end) {
+  if (token.end.index !== end) {
+    return false;
+  }
+  if (GROWING_TOKENS.has(token.kind)) {
+    return true;
+  }
+  // `""` may be the start of a `"""` string
+  return token.kind === TokenType.STRING && token.end.index - token.span.index === 2;
+}
+
+/**
+ * Incremental parser fed with text chunks
+ *
+ * Each top-level value is returned as soon as it is complete and its text
+ * is released, so memory stays bounded by the largest single value.
+ * Implicit top-level objects (`key: value` without braces) span the whole
+ * input and cannot be streamed; use parseStr for those.
+ */
+export class StreamParser {
+  /**
+   * @param {ParseOptions|Object} [options] - See ParseOptions;
+   *   maxInputLength applies to the whole stream. Implicit objects cannot be
+   *   streamed, so implicitObject 'force' is rejected; nor can recovery tell
+   *   a missing closer from one still to come, so recover is rejected too
+   */
+  constructor(options = {}) {
+    this.options = ParseOptions.from(options);
+    if (this.options.implicitObject === 'force') {
+      throw new Error('StreamParser cannot parse implicit objects');
+    }
+    if (this.options.recover) {
+      throw new Error('StreamParser cannot recover from errors');
+    }
+    this.buffer = '';
+    this.start = new Span(0, 1, 1); // Position of the start of the buffer
+    this.prolog = [];
+    this.inProlog = true;
+    // Buffer length to reach before retrying a value cut by a chunk boundary
+    this.retryAt = 0;
+  }
+
+  /**
+   * Feeds a chunk of text
+   * @param {string} chunk
+   * @returns {Node[]} Values completed by this chunk
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const overLimit = this.start.index + this.buffer.length > this.options.maxInputLength;
+    if (this.buffer.length < this.retryAt && !overLimit) {
+      return [];
+    }
+    return this.drain(false);
+  }
+
+  /**
+   * Signals the end of input
+   * @returns {Node[]} Values still pending in the buffer
+   * @throws {XCDNError} If the input ends inside a value
+   */
+  end() {
+    return this.drain(true);
+  }
+
+  /**
+   * Parses every complete item at the front of the buffer
+   * @param {boolean} final - No more input will follow
+   * @returns {Node[]}
+   */
+  drain(final) {
+    const nodes = [];
+
+    while (true) {
+      const lexer = new Lexer(this.buffer, this.options);
+      lexer.origin = this.start.index;
+      lexer.byteOffset = this.start.offset;
+      lexer.line = this.start.line;
+      lexer.column = this.start.column;
+
+      let parser;
+      let item;
+      try {
+        parser = new Parser(lexer, this.options);
+        if (parser.peek().kind === TokenType.EOF) {
+          // Only trivia left; it may be the start of a comment, so keep it
+          break;
+        }
+        if (this.inProlog && parser.peek().kind === TokenType.DOLLAR) {
+          item = parser.parseDirective();
+        } else {
+          item = parser.parseNode();
+        }
+      } catch (e) {
+        // An error that needed more input than available may be a truncation
+        if (!final && e instanceof XCDNError && lexer.exhausted) {
+          this.deferRetry();
+          return nodes;
+        }
+        throw e;
+      }
+
+      // At the end of the buffer, a value ending with a number or a word
+      // may go on in the next chunk; one ending with `}`, `]` or a closing
+      // quote is complete
+      const end = this.start.index + this.buffer.length;
+      if (!final && parser.peek().kind === TokenType.EOF && mayGrow(parser.lastToken, end)) {
+        this.deferRetry();
+        return nodes;
+      }
+
+      if (item instanceof Directive) {
+        this.prolog.push(item);
+      } else {
+        this.inProlog = false;
+        const node = this.options.reviver === null ? item : reviveNode(item, this.options.reviver);
+        if (node !== undefined) {
+          nodes.push(node);
+        }
+      }
+
+      // Cut after the value: what follows may be a comment still arriving
+      this.buffer = this.buffer.slice(parser.lastEnd.index - this.start.index);
+      this.start = parser.lastEnd;
+    }
+
+    this.retryAt = 0;
+    return nodes;
+  }
+
+  /**
+   * Postpones the next parse attempt of a large partial value until the
+   * buffer has doubled, which keeps re-lexing linear in the input size
+   */
+  deferRetry() {
+    this.retryAt = this.buffer.length > EAGER_RETRY_LIMIT ? this.buffer.length * 2 : 0;
+  }
+}
+
+/**
+ * Iterates the chunks of an async iterable or a WHATWG ReadableStream
+ * @param {AsyncIterable|Iterable|ReadableStream} source
+ */
+async function* chunksOf(source) {
+  if (source[Symbol.asyncIterator] || source[Symbol.iterator]) {
+    yield* source;
+    return;
+  }
+  if (typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+    return;
+  }
+  throw new TypeError('parseStream expects an async iterable or a ReadableStream');
+}
+
+/**
+ * Parses a stream of top-level xCDN values
+ *
+ * Chunks may be strings or UTF-8 bytes (Uint8Array/Buffer). Prolog
+ * directives are consumed but not yielded; use StreamParser to read them.
+ * @param {AsyncIterable<string|Uint8Array>|ReadableStream} source
+ * @param {ParseOptions|Object} [options] - See StreamParser
+ * @returns {AsyncGenerator<Node>}
+ */
+export async function* parseStream(source, options = {}) {
+  const parser = new StreamParser(options);
+  const decoder = new TextDecoder();
+
+  for await (const chunk of chunksOf(source)) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    yield* parser.push(text);
+  }
+
+  parser.buffer += decoder.decode();
+  yield* parser.end();
+}
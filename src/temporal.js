@@ -0,0 +1,237 @@
+/**
+ * xCDN Temporal Module
+ * Grammar of ISO 8601 durations and RFC 3339 date-times
+ */
+
+// Designators in the order they must appear, before and after `T`
+const DATE_UNITS = [['Y', 'years'], ['M', 'months'], ['W', 'weeks'], ['D', 'days']];
+const TIME_UNITS = [['H', 'hours'], ['M', 'minutes'], ['S', 'seconds']];
+
+/**
+ * Creates the error for a malformed literal
+ * @param {string} what - Kind of literal
+ * @param {string} str - Literal text
+ * @param {number} index - Position of the first offending character
+ * @returns {SyntaxError} Error with an `index` property
+ */
+export function invalidLiteral(what, str, index) {
+  const error = new SyntaxError(`Invalid ${what}: ${str}`);
+  error.index = index;
+  return error;
+}
+
+/**
+ * Checks if a character is an ASCII digit
+ * @param {string|undefined} ch
+ * @returns {boolean}
+ */
+export function isDigit(ch) {
+  return ch !== undefined && ch >= '0' && ch <= '9';
+}
+
+/**
+ * Parses an ISO 8601 duration such as `P1Y2M10DT2H30M` or `-PT0.5S`
+ *
+ * Designators must appear in order (Y, M, W, D, then T with H, M, S) and at
+ * least one is required. Only seconds may have a fraction (`.` or `,`).
+ * @param {string} str
+ * @returns {{negative: boolean, years: string, months: string, weeks: string,
+ *   days: string, hours: string, minutes: string, seconds: string}}
+ *   Components as the digits written, `'0'` when missing; seconds may have
+ *   a fraction, always after a `.`
+ * @throws {SyntaxError} With the index of the first offending character
+ */
+export function parseDuration(str) {
+  const parts = {
+    negative: false, years: '0', months: '0', weeks: '0', days: '0', hours: '0', minutes: '0', seconds: '0',
+  };
+  let i = 0;
+
+  if (str[i] === '+' || str[i] === '-') {
+    parts.negative = str[i] === '-';
+    i++;
+  }
+  if (str[i] !== 'P') {
+    throw invalidLiteral('duration', str, i);
+  }
+  i++;
+
+  let units = DATE_UNITS;
+  let next = 0; // First designator still allowed
+  let found = false;
+  while (i < str.length) {
+    if (str[i] === 'T' && units === DATE_UNITS) {
+      units = TIME_UNITS;
+      next = 0;
+      i++;
+      if (i === str.length) {
+        throw invalidLiteral('duration', str, i);
+      }
+      continue;
+    }
+
+    const numberStart = i;
+    while (isDigit(str[i])) i++;
+    if (i === numberStart) {
+      throw invalidLiteral('duration', str, i);
+    }
+    let fractionStart = -1;
+    if (str[i] === '.' || str[i] === ',') {
+      fractionStart = i;
+      i++;
+      const digitsStart = i;
+      while (isDigit(str[i])) i++;
+      if (i === digitsStart) {
+        throw invalidLiteral('duration', str, i);
+      }
+    }
+
+    const unit = units.findIndex(([designator], index) => index >= next && designator === str[i]);
+    if (unit === -1) {
+      throw invalidLiteral('duration', str, i);
+    }
+    const name = units[unit][1];
+    if (fractionStart !== -1 && name !== 'seconds') {
+      throw invalidLiteral('duration', str, fractionStart);
+    }
+    parts[name] = str.slice(numberStart, i).replace(',', '.');
+    next = unit + 1;
+    found = true;
+    i++;
+  }
+
+  if (!found) {
+    throw invalidLiteral('duration', str, i);
+  }
+  return parts;
+}
+
+/**
+ * Strips the leading zeros of a component and the trailing zeros of its
+ * fraction
+ * @param {string|bigint} value - Digits, with an optional `.` fraction
+ * @returns {string} Empty for zero
+ */
+function significantDigits(value) {
+  const [whole, fraction = ''] = String(value).split('.');
+  const digits = whole.replace(/^0+/, '');
+  const decimals = fraction.replace(/0+$/, '');
+  if (decimals === '') {
+    return digits;
+  }
+  return `${digits || '0'}.${decimals}`;
+}
+
+/**
+ * Writes a duration in canonical form: no `+` sign, no zero components, no
+ * leading zeros and `.` as decimal separator; `PT0S` when every component
+ * is zero. Components are written digit for digit, however large.
+ * @param {{negative: boolean, years: string|bigint, months: string|bigint,
+ *   weeks: string|bigint, days: string|bigint, hours: string|bigint,
+ *   minutes: string|bigint, seconds: string|bigint}} parts - Non-negative
+ *   components as digits or BigInts; seconds in plain decimal notation
+ * @returns {string}
+ */
+export function formatDuration(parts) {
+  const write = (units) => units
+    .map(([designator, name]) => {
+      const value = significantDigits(parts[name]);
+      return value ? `${value}${designator}` : '';
+    })
+    .join('');
+  const date = write(DATE_UNITS);
+  const time = write(TIME_UNITS);
+  if (date === '' && time === '') {
+    return 'PT0S';
+  }
+  return `${parts.negative ? '-' : ''}P${date}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Number of days in a month of the proleptic Gregorian calendar
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ * @returns {number}
+ */
+export function daysInMonth(year, month) {
+  if (month === 2) {
+    const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+    return leap ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Parses an RFC 3339 date-time such as `2025-01-15T10:30:00.123456+02:00`
+ *
+ * `T` and `Z` may be lowercase and `T` may be a space. Leap seconds are not
+ * supported.
+ * @param {string} str
+ * @returns {{year: number, month: number, day: number, hour: number,
+ *   minute: number, second: number, fraction: string, offset: string}}
+ *   Fields as written; offset is `Z`, `+hh:mm` or `-hh:mm`
+ * @throws {SyntaxError} With the index of the first offending character
+ */
+export function parseDateTime(str) {
+  let i = 0;
+
+  const number = (length, min, max) => {
+    const start = i;
+    for (; i < start + length; i++) {
+      if (!isDigit(str[i])) {
+        throw invalidLiteral('datetime', str, i);
+      }
+    }
+    const value = Number(str.slice(start, i));
+    if (value < min || value > max) {
+      throw invalidLiteral('datetime', str, start);
+    }
+    return value;
+  };
+  const separator = (chars) => {
+    if (str[i] === undefined || !chars.includes(str[i])) {
+      throw invalidLiteral('datetime', str, i);
+    }
+    return str[i++];
+  };
+
+  const year = number(4, 0, 9999);
+  separator('-');
+  const month = number(2, 1, 12);
+  separator('-');
+  const day = number(2, 1, daysInMonth(year, month));
+  separator('Tt ');
+  const hour = number(2, 0, 23);
+  separator(':');
+  const minute = number(2, 0, 59);
+  separator(':');
+  const second = number(2, 0, 59);
+
+  let fraction = '';
+  if (str[i] === '.') {
+    i++;
+    const start = i;
+    while (isDigit(str[i])) i++;
+    if (i === start) {
+      throw invalidLiteral('datetime', str, i);
+    }
+    fraction = str.slice(start, i);
+  }
+
+  let offset;
+  const sign = separator('Zz+-');
+  if (sign === 'Z' || sign === 'z') {
+    offset = 'Z';
+  } else {
+    const start = i - 1;
+    number(2, 0, 23);
+    separator(':');
+    number(2, 0, 59);
+    offset = str.slice(start, i);
+  }
+
+  if (i !== str.length) {
+    throw invalidLiteral('datetime', str, i);
+  }
+  return { year, month, day, hour, minute, second, fraction, offset };
+}
@@ -0,0 +1,181 @@
+/**
+ * xCDN Transform Module
+ * Reviver and replacer walks over parsed documents
+ */
+
+import { Document, Node, ValueType, XArray, XObject } from './ast.js';
+import { nodeFromJS } from './convert.js';
+
+/**
+ * Reviver or replacer callback. Called for every node after its children,
+ * with the object key or array index of the node (`''` for top-level values)
+ * and the keys leading to it from the top-level value. Returning the node
+ * keeps it, another Node replaces it, undefined drops it, and any other value
+ * replaces the node's value while keeping its tags and annotations.
+ * @callback NodeCallback
+ * @param {string|number} key
+ * @param {Node} node
+ * @param {(string|number)[]} path
+ * @returns {*}
+ */
+
+/**
+ * Applies a callback to every node of a tree, bottom-up
+ */
+class Transformer {
+  /**
+   * @param {NodeCallback} callback
+   * @param {(value: *) => *} convert - Turns a returned plain value into a node value
+   * @param {boolean} copy - Copy changed containers instead of updating them
+   */
+  constructor(callback, convert, copy) {
+    this.callback = callback;
+    this.convert = convert;
+    this.copy = copy;
+  }
+
+  /**
+   * @param {Node} node
+   * @param {string|number} key
+   * @param {(string|number)[]} path
+   * @returns {Node|undefined} The resulting node, undefined when dropped
+   */
+  node(node, key, path) {
+    const value = this.container(node.value, path);
+    const current = value === node.value ? node : withValue(node, value);
+
+    const result = this.callback(key, current, path);
+    if (result === undefined || result instanceof Node) {
+      return result;
+    }
+    return withValue(current, result instanceof ValueType ? result : this.convert(result));
+  }
+
+  /**
+   * Transforms the children of a value
+   * @param {*} value
+   * @param {(string|number)[]} path
+   * @returns {*} The value, or a copy when it changed and copy is set
+   */
+  container(value, path) {
+    if (value instanceof XObject) {
+      let changed = false;
+      const entries = new Map();
+      for (const [key, child] of value.value) {
+        const result = this.node(child, key, [...path, key]);
+        changed ||= result !== child;
+        if (result !== undefined) {
+          entries.set(key, result);
+        }
+      }
+      if (!changed) {
+        return value;
+      }
+      if (!this.copy) {
+        value.value = entries;
+        return value;
+      }
+      const copy = new XObject(entries);
+      copy.keyRanges = value.keyRanges;
+      copy.trivia = value.trivia;
+      copy.range = value.range;
+      return copy;
+    }
+
+    if (value instanceof XArray) {
+      let changed = false;
+      const items = [];
+      value.value.forEach((child, index) => {
+        const result = this.node(child, index, [...path, index]);
+        changed ||= result !== child;
+        if (result !== undefined) {
+          items.push(result);
+        }
+      });
+      if (!changed) {
+        return value;
+      }
+      if (!this.copy) {
+        value.value = items;
+        return value;
+      }
+      const copy = new XArray(items);
+      copy.trivia = value.trivia;
+      copy.range = value.range;
+      return copy;
+    }
+
+    return value;
+  }
+
+  /**
+   * Transforms the top-level values of a document
+   * @param {Document} doc
+   * @returns {Document} The document, or a copy when it changed and copy is set
+   */
+  document(doc) {
+    const values = [];
+    for (const node of doc.values) {
+      const result = this.node(node, '', []);
+      if (result !== undefined) {
+        values.push(result);
+      }
+    }
+    if (values.length === doc.values.length && values.every((node, i) => node === doc.values[i])) {
+      return doc;
+    }
+    if (!this.copy) {
+      doc.values = values;
+      return doc;
+    }
+    const copy = new Document(doc.prolog, values);
+    copy.source = doc.source;
+    copy.trivia = doc.trivia;
+    return copy;
+  }
+}
+
+/**
+ * Copies a node with another value, keeping its decorations and comments
+ * @param {Node} node
+ * @param {*} value
+ * @returns {Node}
+ */
+function withValue(node, value) {
+  const copy = new Node(node.tags, node.annotations, value);
+  copy.range = node.range;
+  copy.trivia = node.trivia;
+  return copy;
+}
+
+/**
+ * Applies a reviver to a freshly parsed document, updating it in place.
+ * Values returned by the reviver are stored as they are.
+ * @param {Document} doc
+ * @param {NodeCallback} reviver
+ * @returns {Document}
+ */
+export function reviveDocument(doc, reviver) {
+  return new Transformer(reviver, value => value, false).document(doc);
+}
+
+/**
+ * Applies a reviver to one top-level node, e.g. from a stream
+ * @param {Node} node
+ * @param {NodeCallback} reviver
+ * @returns {Node|undefined} The resulting node, undefined when dropped
+ */
+export function reviveNode(node, reviver) {
+  return new Transformer(reviver, value => value, false).node(node, '', []);
+}
+
+/**
+ * Applies a replacer before serialization without changing the document.
+ * Plain values returned by the replacer are converted with nodeFromJS.
+ * @param {Document} doc
+ * @param {NodeCallback} replacer
+ * @returns {Document} The document, or a changed copy
+ */
+export function replaceDocument(doc, replacer) {
+  return new Transformer(replacer, value => nodeFromJS(value).value, true).document(doc);
+}
@@ -0,0 +1,164 @@
+/**
+ * xCDN UUID Module
+ * Grammar, binary form, generation and parse-time policy of UUIDs
+ */
+
+import { randomBytes, randomUUID } from 'node:crypto';
+import { invalidLiteral } from './temporal.js';
+
+/**
+ * The nil UUID, all bits zero
+ */
+export const NIL_UUID = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * The max UUID, all bits one
+ */
+export const MAX_UUID = 'ffffffff-ffff-ffff-ffff-ffffffffffff';
+
+// Positions of the dashes in the 36-character form
+const DASHES = [8, 13, 18, 23];
+
+/**
+ * Validates a UUID in its 8-4-4-4-12 hex form
+ * @param {string} str
+ * @returns {string} The UUID in lowercase
+ * @throws {SyntaxError} With the index of the first offending character
+ */
+export function parseUuid(str) {
+  for (let i = 0; i < 36; i++) {
+    const ch = str[i];
+    const valid = DASHES.includes(i) ? ch === '-' : ch !== undefined && /[0-9a-fA-F]/.test(ch);
+    if (!valid) {
+      throw invalidLiteral('UUID', str, i);
+    }
+  }
+  if (str.length !== 36) {
+    throw invalidLiteral('UUID', str, 36);
+  }
+  return str.toLowerCase();
+}
+
+/**
+ * Converts a UUID to its 16 bytes, in network order
+ * @param {string} uuid - Valid, as returned by parseUuid
+ * @returns {Uint8Array}
+ */
+export function uuidToBytes(uuid) {
+  const hex = uuid.replaceAll('-', '');
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Formats 16 bytes as a lowercase UUID
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ * @throws {TypeError} If bytes is not a Uint8Array of length 16
+ */
+export function uuidFromBytes(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length !== 16) {
+    throw new TypeError('Expected a Uint8Array of 16 bytes');
+  }
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Generates a random (version 4) UUID
+ * @returns {string}
+ */
+export function uuidV4() {
+  return randomUUID();
+}
+
+// Last version 7 timestamp and counter, so that UUIDs generated in the same
+// millisecond still sort in generation order
+let lastV7 = { time: -1, counter: 0 };
+
+/**
+ * Generates a time-ordered (version 7) UUID: 48 bits of Unix time in
+ * milliseconds, then a 12-bit counter that starts at a random value each
+ * millisecond, then random bits
+ * @param {number} [time=Date.now()] - Unix time in milliseconds
+ * @returns {string}
+ */
+export function uuidV7(time = Date.now()) {
+  if (!Number.isSafeInteger(time) || time < 0 || time >= 2 ** 48) {
+    throw new RangeError(`Invalid UUID timestamp: ${time}`);
+  }
+  const bytes = randomBytes(16);
+  let counter;
+  if (time > lastV7.time) {
+    counter = ((bytes[6] & 0x07) << 8) | bytes[7]; // Lower half, leaving room to count up
+  } else {
+    time = lastV7.time;
+    counter = lastV7.counter + 1;
+    if (counter > 0xFFF) {
+      time++;
+      counter = 0;
+    }
+  }
+  lastV7 = { time, counter };
+
+  for (let i = 5; i >= 0; i--) {
+    bytes[i] = time % 256;
+    time = Math.floor(time / 256);
+  }
+  bytes[6] = 0x70 | (counter >> 8);
+  bytes[7] = counter & 0xFF;
+  bytes[8] = 0x80 | (bytes[8] & 0x3F);
+  return uuidFromBytes(bytes);
+}
+
+/**
+ * Restrictions on the UUIDs accepted when parsing
+ * @typedef {Object} UuidPolicy
+ * @property {number[]} [versions] - Versions to accept, e.g. `[4, 7]`; the
+ *   nil and max UUIDs are judged by allowNil and allowMax instead
+ * @property {boolean} [allowNil=true] - Accept the nil UUID
+ * @property {boolean} [allowMax=true] - Accept the max UUID
+ */
+
+/**
+ * Checks a UUID policy option
+ * @param {UuidPolicy|null|undefined} policy
+ * @returns {UuidPolicy|null}
+ */
+export function readUuidPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+  if (typeof policy !== 'object') {
+    throw new Error('Invalid uuidPolicy: expected an object');
+  }
+  const { versions } = policy;
+  if (versions !== undefined &&
+      (!Array.isArray(versions) || !versions.every(v => Number.isInteger(v) && v >= 0 && v <= 15))) {
+    throw new Error('Invalid uuidPolicy versions: expected an array of integers from 0 to 15');
+  }
+  return { versions, allowNil: policy.allowNil ?? true, allowMax: policy.allowMax ?? true };
+}
+
+/**
+ * Explains why a UUID breaks a policy
+ * @param {string} uuid - Valid and lowercase
+ * @param {UuidPolicy} policy - As returned by readUuidPolicy
+ * @returns {string|null} The reason, or null if the UUID is accepted
+ */
+export function uuidPolicyViolation(uuid, policy) {
+  if (uuid === NIL_UUID) {
+    return policy.allowNil ? null : 'nil UUID not allowed';
+  }
+  if (uuid === MAX_UUID) {
+    return policy.allowMax ? null : 'max UUID not allowed';
+  }
+  const version = parseInt(uuid[14], 16);
+  if (policy.versions && !policy.versions.includes(version)) {
+    return `version ${version} not allowed (expected ${policy.versions.join(', ')})`;
+  }
+  return null;
+}
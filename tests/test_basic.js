@@ -4,10 +4,13 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { parseStr, toStringPretty, toStringCompact } from '../src/index.js';
+import {
+  parseStr, parseTolerant, toStringPretty, toStringCompact, toStringWithFormat, toStringLossless, Format,
+  XCDNError, ErrorKind, LiteralRegistry, BUILTIN_LITERALS, defaultLiterals, ParseOptions, parseBytes, fromJS
+} from '../src/index.js';
 import {
   Document, Node, XObject, XArray, XString, Int, Float,
-  Bool, Null, DateTime, Duration, Uuid, DecimalValue, Bytes
+  Bool, Null, DateTime, Duration, Uuid, DecimalValue, Bytes, ValueType, DECORATIONS
 } from '../src/ast.js';
 
 test('parse null', () => {
@@ -237,3 +240,614 @@ test('empty object', () => {
   const root = doc.values[0].value;
   assert.strictEqual(root.get('value').value.length, 0);
 });
+
+test('tolerant parse reports every error', () => {
+  const { document, diagnostics } = parseTolerant(`
+    a: 1,
+    b: ,
+    c: [1, }, 3],
+    d: "bad \\q escape",
+    e: u"not-a-uuid",
+    f: true,
+  `);
+  const root = document.values[0].value;
+  assert.deepStrictEqual(root.keys(), ['a', 'c', 'd', 'f']);
+  assert.deepStrictEqual(root.get('c').unwrap(), [1n, 3n]);
+  assert.strictEqual(root.get('d').unwrap(), 'bad  escape');
+  assert.deepStrictEqual(
+    diagnostics.map(d => [d.kind, d.span.line]),
+    [
+      [ErrorKind.InvalidToken, 3],
+      [ErrorKind.InvalidToken, 4],
+      [ErrorKind.InvalidEscape, 5],
+      [ErrorKind.InvalidUuid, 6],
+    ]
+  );
+  assert.ok(!diagnostics[0].message.includes(' at '));
+});
+
+test('tolerant parse closes unterminated containers', () => {
+  const { document, diagnostics } = parseTolerant('{a: [1, 2, b: 3}');
+  assert.strictEqual(document.values.length, 1);
+  assert.deepStrictEqual(document.values[0].get('a').unwrap(), [1n, 2n]);
+  assert.ok(diagnostics.length >= 1);
+  assert.ok(diagnostics.every(d => d.span.line === 1));
+});
+
+test('tolerant parse of valid input has no diagnostics', () => {
+  const { document, diagnostics } = parseTolerant('a: 1, b: [true]');
+  assert.deepStrictEqual(diagnostics, []);
+  assert.deepStrictEqual(document.unwrap(), { a: 1n, b: [true] });
+});
+
+test('strict parse still throws on first error', () => {
+  assert.throws(() => parseStr('a: 1, b: ,'), XCDNError);
+  assert.throws(() => parseStr('{a: 1'), XCDNError);
+});
+
+test('nodes carry start and end ranges', () => {
+  const source = 'name: "Ada",\nitems: #list @size(2) [1, 22]';
+  const doc = parseStr(source);
+  const slice = (range) => source.slice(range.start.offset, range.end.offset);
+  const root = doc.values[0].value;
+
+  assert.strictEqual(slice(root.get('name').range), '"Ada"');
+  const items = root.get('items');
+  assert.strictEqual(slice(items.range), '#list @size(2) [1, 22]');
+  assert.strictEqual(slice(items.value.range), '[1, 22]');
+  assert.strictEqual(slice(items.tags[0].range), '#list');
+  assert.strictEqual(slice(items.annotations[0].range), '@size(2)');
+  assert.strictEqual(slice(items.annotations[0].args[0].range), '2');
+  assert.strictEqual(slice(items.value.get(1).range), '22');
+  assert.strictEqual(items.range.end.line, 2);
+  assert.strictEqual(items.range.end.column, 30);
+});
+
+test('object keys have their own ranges', () => {
+  const source = '{"quoted key": 1, plain: [2]}';
+  const obj = parseStr(source).values[0].value;
+  const slice = (range) => source.slice(range.start.offset, range.end.offset);
+  assert.strictEqual(slice(obj.keyRanges.get('quoted key')), '"quoted key"');
+  assert.strictEqual(slice(obj.keyRanges.get('plain')), 'plain');
+  assert.strictEqual(slice(obj.get('plain').range), '[2]');
+  assert.strictEqual(slice(obj.range), source);
+});
+
+test('directives carry ranges', () => {
+  const source = '$schema: "s.json", a: 1';
+  const doc = parseStr(source);
+  const range = doc.prolog[0].range;
+  assert.strictEqual(source.slice(range.start.offset, range.end.offset), '$schema: "s.json"');
+  assert.strictEqual(range.toString(), '1:1-1:18');
+});
+
+test('strict mode requires separators', () => {
+  assert.throws(() => parseStr('{a: 1 b: 2}', { strict: true }), /Expected COMMA or RBRACE/);
+  assert.throws(() => parseStr('[1 2]', { strict: true }), /Expected COMMA or RBRACKET/);
+  assert.throws(() => parseStr('a: 1\nb: 2', { strict: true }), /Expected COMMA or EOF/);
+  const doc = parseStr('{a: 1, b: [1, 2,],}', { strict: true });
+  assert.deepStrictEqual(doc.unwrap(), { a: 1n, b: [1n, 2n] });
+  assert.deepStrictEqual(parseStr('{a: 1 b: 2}').unwrap(), { a: 1n, b: 2n });
+});
+
+test('strict mode rejects duplicate keys', () => {
+  try {
+    parseStr('{a: 1,\n a: 2}', { strict: true });
+    assert.fail('expected a duplicate key error');
+  } catch (e) {
+    assert.strictEqual(e.kind, ErrorKind.DuplicateKey);
+    assert.strictEqual(e.span.line, 2);
+    assert.strictEqual(e.related.line, 1);
+    assert.strictEqual(e.related.column, 2);
+    assert.match(e.message, /"a" \(first defined at 1:2\)/);
+  }
+});
+
+test('duplicate key policies', () => {
+  const source = 'a: 1, b: 0, a: 2, a: 3';
+  assert.deepStrictEqual(parseStr(source).unwrap(), { a: 3n, b: 0n });
+  assert.deepStrictEqual(parseStr(source, { duplicateKeys: 'last' }).unwrap(), { a: 3n, b: 0n });
+  assert.deepStrictEqual(parseStr(source, { duplicateKeys: 'first' }).unwrap(), { a: 1n, b: 0n });
+  assert.deepStrictEqual(parseStr(source, { duplicateKeys: 'collect' }).unwrap(), { a: [1n, 2n, 3n], b: 0n });
+  assert.throws(() => parseStr(source, { duplicateKeys: 'error' }), XCDNError);
+  assert.doesNotThrow(() => parseStr(source, { strict: true, duplicateKeys: 'first' }));
+  assert.throws(() => parseStr(source, { duplicateKeys: 'merge' }), /Invalid duplicateKeys policy/);
+});
+
+test('tolerant strict parse reports duplicates and keeps the first value', () => {
+  const { document, diagnostics } = parseTolerant('a: 1 a: 2, b: 3', { strict: true });
+  assert.deepStrictEqual(document.unwrap(), { a: 1n, b: 3n });
+  assert.deepStrictEqual(
+    diagnostics.map(d => d.kind),
+    [ErrorKind.Expected, ErrorKind.DuplicateKey]
+  );
+  assert.strictEqual(diagnostics[1].related.column, 1);
+});
+
+test('parse raw and block strings', () => {
+  const doc = parseStr('pattern: `^\\d+$`\nsql: """\n  SELECT 1\n  """');
+  assert.strictEqual(doc.get('pattern').unwrap(), '^\\d+$');
+  assert.strictEqual(doc.get('sql').unwrap(), 'SELECT 1');
+});
+
+test('maxInputLength rejects long input', () => {
+  assert.throws(() => parseStr('a: 1,\nb: 2', { maxInputLength: 8 }), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxInputLengthExceeded);
+    assert.strictEqual(e.span.offset, 8);
+    assert.strictEqual(e.span.line, 2);
+    assert.strictEqual(e.span.column, 3);
+    return true;
+  });
+  assert.doesNotThrow(() => parseStr('a: 1', { maxInputLength: 4 }));
+});
+
+test('maxDepth rejects deep nesting', () => {
+  const deep = '['.repeat(100000) + ']'.repeat(100000);
+  assert.throws(() => parseStr(deep, { maxDepth: 64 }), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxDepthExceeded);
+    assert.strictEqual(e.span.column, 65);
+    return true;
+  });
+  assert.throws(() => parseStr('a: {b: [1]}', { maxDepth: 2 }), (e) => e.kind === ErrorKind.MaxDepthExceeded);
+  assert.doesNotThrow(() => parseStr('a: {b: [1]}', { maxDepth: 3 }));
+  assert.throws(() => parseStr('@x([[1]]) 1', { maxDepth: 1 }), (e) => e.kind === ErrorKind.MaxDepthExceeded);
+});
+
+test('maxStringLength and maxBytesLength reject large scalars', () => {
+  assert.throws(() => parseStr('a: "abcdef"', { maxStringLength: 5 }), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxStringLengthExceeded);
+    assert.strictEqual(e.span.column, 4);
+    return true;
+  });
+  assert.throws(() => parseStr('abcdef: 1', { maxStringLength: 5 }), (e) => e.kind === ErrorKind.MaxStringLengthExceeded);
+  assert.throws(() => parseStr('a: r"abcdef"', { maxStringLength: 5 }), (e) => e.kind === ErrorKind.MaxStringLengthExceeded);
+  assert.throws(() => parseStr('a: "abcdef', { maxStringLength: 5 }), (e) => e.kind === ErrorKind.MaxStringLengthExceeded);
+  assert.doesNotThrow(() => parseStr('a: "abcde", b: b"SGVsbG8gV29ybGQ="', { maxStringLength: 5 }));
+  assert.throws(() => parseStr('a: b"SGVsbG8="', { maxBytesLength: 4 }), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxBytesLengthExceeded);
+    assert.match(e.message, /5 bytes, limit 4/);
+    return true;
+  });
+});
+
+test('maxEntries and maxDecorations reject wide values', () => {
+  assert.throws(() => parseStr('[1, 2, 3]', { maxEntries: 2 }), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxEntriesExceeded);
+    assert.strictEqual(e.span.column, 8);
+    return true;
+  });
+  assert.throws(() => parseStr('a: 1, b: 2, c: 3', { maxEntries: 2 }), (e) => e.kind === ErrorKind.MaxEntriesExceeded);
+  assert.throws(() => parseStr('@a(1, 2, 3) 1', { maxEntries: 2 }), (e) => e.kind === ErrorKind.MaxEntriesExceeded);
+  assert.doesNotThrow(() => parseStr('{a: [1, 2], b: 2}', { maxEntries: 2 }));
+  assert.throws(() => parseStr('#a @b #c 1', { maxDecorations: 2 }), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxDecorationsExceeded);
+    assert.strictEqual(e.span.column, 7);
+    return true;
+  });
+  assert.throws(() => parseStr('a: 1', { maxEntries: -1 }), /Invalid maxEntries/);
+});
+
+test('tolerant parse reports exceeded limits and keeps going', () => {
+  const { document, diagnostics } = parseTolerant(
+    'a: [1, 2, 3, 4], b: [[[1]]], c: true',
+    { maxEntries: 3, maxDepth: 2 }
+  );
+  assert.deepStrictEqual(document.unwrap(), { a: [1n, 2n, 3n], b: [], c: true });
+  assert.deepStrictEqual(
+    diagnostics.map(d => d.kind),
+    [ErrorKind.MaxEntriesExceeded, ErrorKind.MaxDepthExceeded]
+  );
+});
+
+test('decimal literals are validated', () => {
+  for (const ok of ['0', '-1.50', '+.5', '1.', '6.02e23', '1E-7']) {
+    assert.strictEqual(parseStr(`v: d"${ok}"`).get('v').value.value, ok);
+  }
+  for (const [bad, column] of [['abc', 6], ['1.2.3', 9], ['', 6], ['1e', 8], ['-', 7], ['1 ', 7]]) {
+    assert.throws(() => parseStr(`v: d"${bad}"`), (e) => {
+      assert.strictEqual(e.kind, ErrorKind.InvalidDecimal, bad);
+      assert.strictEqual(e.span.column, column, bad);
+      return true;
+    });
+  }
+});
+
+test('duration literals are validated', () => {
+  for (const ok of ['PT30S', 'P1Y2M10DT2H30M', 'P2W', '-PT0.5S', 'PT1,5S', 'P1M', 'PT1M']) {
+    assert.doesNotThrow(() => parseStr(`v: r"${ok}"`), ok);
+  }
+  for (const [bad, column] of [['whatever', 6], ['P', 7], ['PT', 8], ['P1H', 8], ['PT1D', 9], ['P1.5D', 8], ['P1D1Y', 10], ['1D', 6]]) {
+    assert.throws(() => parseStr(`v: r"${bad}"`), (e) => {
+      assert.strictEqual(e.kind, ErrorKind.InvalidDuration, bad);
+      assert.strictEqual(e.span.column, column, bad);
+      return true;
+    });
+  }
+  // Escapes make source and value differ, so the error points at the literal
+  assert.throws(() => parseStr('v: r"\\u0050X"'), (e) => e.span.column === 4);
+});
+
+test('durations expose their parts', () => {
+  const duration = parseStr('v: r"-P1Y2M3W4DT5H6M7.25S"').get('v').value;
+  assert.deepStrictEqual(
+    [duration.negative, duration.years, duration.months, duration.weeks, duration.days,
+      duration.hours, duration.minutes, duration.seconds],
+    [true, 1, 2, 3, 4, 5, 6, 7.25]
+  );
+  assert.strictEqual(duration.unwrap(), '-P1Y2M3W4DT5H6M7.25S');
+});
+
+test('duration to milliseconds', () => {
+  assert.strictEqual(new Duration('PT1M30.5S').toMilliseconds(), 90500);
+  assert.strictEqual(new Duration('-P1DT1H').toMilliseconds(), -25 * 3600 * 1000);
+  assert.strictEqual(new Duration('P1W').toMilliseconds(), 7 * 24 * 3600 * 1000);
+  assert.throws(() => new Duration('P1M').toMilliseconds(), RangeError);
+  assert.throws(() => new Duration('1 hour'), SyntaxError);
+});
+
+test('duration added to a datetime', () => {
+  const start = new DateTime(new Date('2025-01-15T10:30:00Z'));
+  const later = new Duration('P1Y1MT1H30M').addTo(start);
+  assert.ok(later instanceof DateTime);
+  assert.strictEqual(later.value.toISOString(), '2026-02-15T12:00:00.000Z');
+  const earlier = new Duration('-P1DT0.5S').addTo(start);
+  assert.strictEqual(earlier.value.toISOString(), '2025-01-14T10:29:59.500Z');
+  assert.strictEqual(start.value.toISOString(), '2025-01-15T10:30:00.000Z');
+});
+
+test('duration added to a datetime follows the calendar', () => {
+  const cases = [
+    ['P1M', '2025-01-31T10:00:00Z', '2025-02-28T10:00:00Z'],
+    ['P1M', '2024-01-31T10:00:00Z', '2024-02-29T10:00:00Z'],
+    ['P1Y', '2024-02-29T10:00:00Z', '2025-02-28T10:00:00Z'],
+    ['P4Y', '2024-02-29T10:00:00Z', '2028-02-29T10:00:00Z'],
+    ['-P1M', '2025-03-31T10:00:00+02:00', '2025-02-28T10:00:00+02:00'],
+    ['P1M1D', '2025-01-31T10:00:00Z', '2025-03-01T10:00:00Z'],
+    ['P11M', '2024-12-31T23:30:00-01:00', '2025-11-30T23:30:00-01:00'],
+    ['PT0.0000005S', '2024-12-31T23:59:59.9999999Z', '2025-01-01T00:00:00.0000004Z'],
+    ['-PT1.5S', '2025-01-01T00:00:00Z', '2024-12-31T23:59:58.5Z'],
+  ];
+  for (const [duration, start, expected] of cases) {
+    assert.strictEqual(new Duration(duration).addTo(DateTime.parse(start)).toString(), expected, duration);
+  }
+  assert.strictEqual(new Duration('P1M').subtractFrom(DateTime.parse('2025-03-31T10:00:00Z')).toString(),
+    '2025-02-28T10:00:00Z');
+});
+
+test('durations normalize, add and subtract', () => {
+  assert.strictEqual(new Duration('P14M1W').normalize().toString(), 'P1Y2M7D');
+  assert.strictEqual(new Duration('PT3661.25S').normalize().toString(), 'PT1H1M1.25S');
+  assert.strictEqual(new Duration('PT25H').normalize().toString(), 'P1DT1H');
+  assert.strictEqual(new Duration('-PT0S').normalize().toString(), 'PT0S');
+  assert.strictEqual(new Duration('PT30M').add('PT45M').toString(), 'PT1H15M');
+  assert.strictEqual(new Duration('P1M').add(new Duration('P1DT0.5S')).toString(), 'P1M1DT0.5S');
+  assert.strictEqual(new Duration('P1D').sub('P2D').toString(), '-P1D');
+  assert.strictEqual(new Duration('PT0.1S').add('PT0.2S').toString(), 'PT0.3S');
+  assert.throws(() => new Duration('P1M').sub('P1D'), RangeError);
+  assert.strictEqual(new Duration('-P1DT2H').negate().toString(), 'P1DT2H');
+  assert.strictEqual(new Duration('-P1D').abs().toString(), 'P1D');
+  assert.deepStrictEqual([new Duration('-PT1S').sign, new Duration('P0D').sign, new Duration('P1M').sign], [-1, 0, 1]);
+  assert.strictEqual(Duration.from({ years: 1, hours: 2, seconds: '0.50' }).toString(), 'P1YT2H0.5S');
+  assert.strictEqual(Duration.from({ negative: true, weeks: 2 }).toString(), '-P2W');
+  assert.throws(() => Duration.from({ days: 1.5 }), RangeError);
+  assert.throws(() => Duration.from({ seconds: -1 }), RangeError);
+  assert.strictEqual(Duration.parse('PT0.123456789012345678S').exactSeconds.toString(), '0.123456789012345678');
+  const large = Duration.parse('P9007199254740993MT12345678901234567891.5S');
+  assert.strictEqual(large.exactSeconds.toString(), '12345678901234567891.5');
+  assert.strictEqual(large.exact.months, 9007199254740993n);
+  assert.strictEqual(large.normalize().toString(), 'P750599937895082Y9M142889802097622DT7H31M31.5S');
+  assert.strictEqual(Duration.from({ years: 12345678901234567891n }).toString(), 'P12345678901234567891Y');
+});
+
+test('durations compare by length', () => {
+  assert.strictEqual(new Duration('PT1H').compare('PT60M'), 0);
+  assert.strictEqual(new Duration('P1W').compare('P6DT24H1S'), -1);
+  assert.strictEqual(new Duration('-PT1S').compare('PT0S'), -1);
+  assert.strictEqual(new Duration('P1Y').compare('P11M'), 1);
+  const feb = DateTime.parse('2025-02-01T00:00:00Z');
+  assert.strictEqual(new Duration('P1M').compare('P28D', feb), 0);
+  assert.strictEqual(new Duration('P1M').compare('P28D', DateTime.parse('2025-03-01T00:00:00Z')), 1);
+  assert.throws(() => new Duration('P1M').compare('P30D'), RangeError);
+});
+
+test('datetimes keep their offset and precision', () => {
+  const source = 't"2025-01-15T10:30:00.123456+02:00"';
+  const dt = parseStr(`v: ${source}`).get('v').value;
+  assert.strictEqual(dt.offset, '+02:00');
+  assert.strictEqual(dt.offsetMinutes, 120);
+  assert.strictEqual(dt.fraction, '123456');
+  assert.strictEqual(dt.instant.toISOString(), '2025-01-15T08:30:00.123Z');
+  assert.deepStrictEqual(
+    dt.local,
+    { year: 2025, month: 1, day: 15, hour: 10, minute: 30, second: 0, fraction: '123456' }
+  );
+  assert.strictEqual(toStringCompact(parseStr(`v: ${source}`)), `{v:${source}}`);
+  for (const exact of ['2025-01-15T10:30:00Z', '1999-12-31T23:59:59.5-00:00', '0001-01-01T00:00:00-11:30']) {
+    assert.strictEqual(DateTime.parse(exact).toString(), exact);
+  }
+  assert.strictEqual(DateTime.parse('2025-01-15t10:30:00z').toString(), '2025-01-15T10:30:00Z');
+  assert.strictEqual(DateTime.parse('2025-01-15 10:30:00+01:00').toString(), '2025-01-15T10:30:00+01:00');
+});
+
+test('datetime literals are validated', () => {
+  const cases = [
+    ['2025-01-15', 16], ['2025-13-01T00:00:00Z', 11], ['2025-02-29T00:00:00Z', 14],
+    ['2025-01-15T24:00:00Z', 17], ['2025-01-15T10:30:60Z', 23], ['2025-01-15T10:30:00', 25],
+    ['2025-01-15T10:30:00.Z', 26], ['2025-01-15T10:30:00+2:00', 27], ['2025-01-15T10:30:00Zjunk', 26],
+  ];
+  for (const [bad, column] of cases) {
+    assert.throws(() => parseStr(`v: t"${bad}"`), (e) => {
+      assert.strictEqual(e.kind, ErrorKind.InvalidDateTime, bad);
+      assert.strictEqual(e.span.column, column, bad);
+      return true;
+    });
+  }
+  assert.doesNotThrow(() => parseStr('v: t"2024-02-29T00:00:00Z"'));
+});
+
+test('programmatic datetimes serialize in UTC', () => {
+  const dt = new DateTime(new Date('2025-01-15T10:30:00Z'));
+  assert.strictEqual(dt.toString(), '2025-01-15T10:30:00.000Z');
+  const shifted = new DateTime(new Date('2025-01-15T10:30:00Z'), '-05:00', '');
+  assert.strictEqual(shifted.toString(), '2025-01-15T05:30:00-05:00');
+  assert.strictEqual(new Duration('P1M').addTo(DateTime.parse('2025-01-31T23:00:00-05:00')).toString(),
+    '2025-02-28T23:00:00-05:00');
+});
+
+test('parse extended numeric literals', () => {
+  const doc = parseStr('mode: 0o755, mask: 0xFF_00, flags: 0b101, big: 1_000_000, hi: inf, lo: -inf, bad: nan, inf: 1');
+  const root = doc.values[0].value;
+  assert.strictEqual(root.get('mode').value.value, 0o755n);
+  assert.strictEqual(root.get('mode').value.radix, 8);
+  assert.strictEqual(root.get('mask').value.radix, 16);
+  assert.strictEqual(root.get('flags').value.radix, 2);
+  assert.strictEqual(root.get('big').value.radix, 10);
+  assert.strictEqual(root.get('big').value.value, 1000000n);
+  assert.strictEqual(root.get('hi').value.value, Infinity);
+  assert.strictEqual(root.get('lo').value.value, -Infinity);
+  assert.ok(Number.isNaN(root.get('bad').value.value));
+  assert.strictEqual(root.get('inf').value.value, 1n);
+  assert.throws(() => parseStr('v: infinity'), XCDNError);
+});
+
+class IpAddress extends ValueType {
+  constructor(octets) {
+    super();
+    this.value = octets;
+  }
+}
+
+const IP_LITERAL = {
+  prefix: 'ip',
+  type: IpAddress,
+  parse(text) {
+    const octets = text.split('.').map(Number);
+    if (octets.length !== 4 || octets.some(n => !(n >= 0 && n <= 255))) {
+      throw new Error(`Invalid IPv4 address: ${text}`);
+    }
+    return new IpAddress(octets);
+  },
+  format: (value) => value.value.join('.'),
+};
+
+test('parse custom typed literals', () => {
+  const literals = defaultLiterals.clone().register(IP_LITERAL);
+  const root = parseStr('host: ip"10.0.0.1", cost: d"1.5"', { literals }).values[0].value;
+  assert.ok(root.get('host').value instanceof IpAddress);
+  assert.deepStrictEqual(root.get('host').value.value, [10, 0, 0, 1]);
+  assert.ok(root.get('cost').value instanceof DecimalValue);
+
+  assert.throws(() => parseStr('host: ip"10.0.0.1"'), (e) =>
+    e.kind === ErrorKind.InvalidLiteral && e.message.includes('unknown prefix ip'));
+  assert.throws(() => parseStr('host: ip"10.0.0.300"', { literals }), (e) =>
+    e.kind === ErrorKind.InvalidLiteral && e.message.includes('ip"10.0.0.300"') && e.span.column === 7);
+});
+
+test('stringify helpers take a literal registry', () => {
+  const literals = defaultLiterals.clone().register(IP_LITERAL);
+  const doc = parseStr('host: ip"10.0.0.1"', { literals });
+  assert.throws(() => toStringCompact(doc), /Unknown value type: IpAddress/);
+  assert.strictEqual(toStringCompact(doc, { literals }), '{host:ip"10.0.0.1"}');
+  assert.match(toStringPretty(doc, { literals }), /host: ip"10\.0\.0\.1"/);
+  assert.strictEqual(toStringWithFormat(doc, new Format(false, 0, false), { literals }), '{host:ip"10.0.0.1"}');
+  assert.strictEqual(toStringLossless(parseStr('host:  ip"10.0.0.1"', { literals, trivia: true }), undefined, { literals }),
+    'host:  ip"10.0.0.1"');
+});
+
+test('literal registries can drop built-in literals', () => {
+  const literals = new LiteralRegistry(BUILTIN_LITERALS);
+  assert.strictEqual(literals.unregister('b'), true);
+  assert.strictEqual(literals.unregister('b'), false);
+  assert.throws(() => parseStr('v: b"AAE="', { literals }), (e) => e.kind === ErrorKind.InvalidLiteral);
+  assert.ok(parseStr('v: b"AAE="').values[0].value.get('v').value instanceof Bytes);
+});
+
+test('literal registries validate definitions', () => {
+  const literals = new LiteralRegistry();
+  assert.throws(() => literals.register({ ...IP_LITERAL, prefix: 'null' }), TypeError);
+  assert.throws(() => literals.register({ ...IP_LITERAL, prefix: '1x' }), TypeError);
+  assert.throws(() => literals.register({ ...IP_LITERAL, type: Object }), TypeError);
+  literals.register(IP_LITERAL);
+  assert.throws(() => literals.register(IP_LITERAL), /already registered/);
+  assert.strictEqual(literals.forValue(new IpAddress([1, 2, 3, 4])), IP_LITERAL);
+});
+
+test('built-in literal errors keep their kinds', () => {
+  assert.throws(() => parseStr('v: d"1.2.3"'), (e) => e.kind === ErrorKind.InvalidDecimal && e.span.column === 9);
+  assert.throws(() => parseStr('v: u"nope"'), (e) => e.kind === ErrorKind.InvalidUuid);
+  assert.throws(() => parseStr('v: b"***"'), (e) => e.kind === ErrorKind.InvalidBase64);
+});
+
+test('integers option picks the type of Int values', () => {
+  const source = 'small: 42, big: 9007199254740993, hex: 0xFF';
+  const bigints = parseStr(source).unwrap();
+  assert.strictEqual(bigints.small, 42n);
+
+  const numbers = parseStr(source, { integers: 'number' }).unwrap();
+  assert.strictEqual(numbers.small, 42);
+  assert.strictEqual(numbers.big, 9007199254740992);
+  assert.strictEqual(numbers.hex, 255);
+
+  const auto = parseStr(source, { integers: 'auto' }).unwrap();
+  assert.strictEqual(auto.small, 42);
+  assert.strictEqual(auto.big, 9007199254740993n);
+
+  const doc = parseStr(source, { integers: 'number' });
+  assert.strictEqual(toStringCompact(doc), '{small:42,big:9007199254740992,hex:0xff}');
+  assert.throws(() => parseStr('a: 1', { integers: 'float' }), /Invalid integers/);
+});
+
+test('implicitObject option controls top-level objects', () => {
+  assert.throws(() => parseStr('a: 1', { implicitObject: 'forbid' }), XCDNError);
+  assert.strictEqual(parseStr('{a: 1}', { implicitObject: 'forbid' }).values.length, 1);
+
+  const empty = parseStr('$schema: "x"', { implicitObject: 'force' });
+  assert.ok(empty.values[0].value instanceof XObject);
+  assert.strictEqual(empty.values[0].value.keys().length, 0);
+  assert.throws(() => parseStr('1 2', { implicitObject: 'force' }), XCDNError);
+  assert.strictEqual(parseStr('a: 1, b: 2').values[0].value.keys().length, 2);
+});
+
+test('ParseOptions fills in defaults and can be reused', () => {
+  const options = new ParseOptions({ strict: true, maxDepth: 2, literals: ['d'] });
+  assert.strictEqual(options.duplicateKeys, 'error');
+  assert.strictEqual(options.integers, 'bigint');
+  assert.strictEqual(options.implicitObject, 'auto');
+  assert.strictEqual(options.maxDepth, 2);
+  assert.strictEqual(options.maxEntries, Infinity);
+  assert.strictEqual(ParseOptions.from(options), options);
+
+  assert.ok(parseStr('v: d"1.5"', options).get('v').value instanceof DecimalValue);
+  assert.throws(() => parseStr('v: u"550e8400-e29b-41d4-a716-446655440000"', options),
+    (e) => e.kind === ErrorKind.InvalidLiteral);
+  assert.throws(() => parseStr('v: [[[]]]', options), (e) => e.kind === ErrorKind.MaxDepthExceeded);
+  const { diagnostics } = parseTolerant('v: [[[]]]', options);
+  assert.strictEqual(diagnostics[0].kind, ErrorKind.MaxDepthExceeded);
+  assert.throws(() => new ParseOptions({ literals: ['zz'] }), /unknown prefix zz/);
+});
+
+test('parse bytes in UTF-8 and UTF-16', () => {
+  const source = 'città: "😀", n: 1';
+  const utf8 = new TextEncoder().encode(source);
+  const inputs = [
+    utf8,
+    Uint8Array.of(0xEF, 0xBB, 0xBF, ...utf8),
+    Uint8Array.of(0xFF, 0xFE, ...Buffer.from(source, 'utf16le')),
+    Uint8Array.of(0xFE, 0xFF, ...Buffer.from(source, 'utf16le').swap16()),
+  ];
+  const offsets = [];
+  for (const bytes of inputs) {
+    const doc = parseBytes(bytes);
+    assert.strictEqual(doc.get('città').unwrap(), '😀');
+    const start = doc.get('n').range.start;
+    assert.strictEqual(start.column, 16);
+    assert.strictEqual(start.index, 16);
+    offsets.push(start.offset);
+  }
+  assert.deepStrictEqual(offsets, [19, 22, 34, 34]);
+  assert.deepStrictEqual(parseBytes(Buffer.from('a: 1')).unwrap(), { a: 1n });
+});
+
+test('parse bytes reports malformed input', () => {
+  const invalid = [
+    [Uint8Array.of(0x61, 0x3A, 0x0A, 0x22, 0xC3, 0x28, 0x22), 4, 2, 2],
+    [Uint8Array.of(0x22, 0xED, 0xA0, 0x80, 0x22), 1, 1, 2],
+    [Uint8Array.of(0x22, 0xF0, 0x9F, 0x98), 1, 1, 2],
+    [Uint8Array.of(0xFF, 0xFE, 0x22, 0x00, 0x00, 0xD8, 0x22, 0x00), 4, 1, 2],
+    [Uint8Array.of(0xFE, 0xFF, 0x00, 0x31, 0x00), 4, 1, 2],
+  ];
+  for (const [bytes, offset, line, column] of invalid) {
+    assert.throws(() => parseBytes(bytes), (e) => {
+      assert.strictEqual(e.kind, ErrorKind.InvalidEncoding);
+      assert.deepStrictEqual([e.span.offset, e.span.line, e.span.column], [offset, line, column]);
+      return true;
+    });
+  }
+  assert.throws(() => parseBytes('a: 1'), TypeError);
+});
+
+test('unwrap maps integers and objects', () => {
+  const doc = parseStr('n: 1, big: 9007199254740993, obj: {a: [2]}');
+  assert.deepStrictEqual(doc.unwrap({ integers: 'number' }), { n: 1, big: 9007199254740992, obj: { a: [2] } });
+  assert.deepStrictEqual(doc.unwrap({ integers: 'auto' }).big, 9007199254740993n);
+  assert.strictEqual(JSON.stringify(doc.unwrap({ integers: 'number' })), '{"n":1,"big":9007199254740992,"obj":{"a":[2]}}');
+
+  const map = doc.unwrap({ objects: 'map' });
+  assert.ok(map instanceof Map);
+  assert.ok(map.get('obj') instanceof Map);
+  assert.deepStrictEqual(map.get('obj').get('a'), [2n]);
+  assert.throws(() => doc.unwrap({ objects: 'record' }), /Invalid objects mode/);
+  assert.throws(() => doc.unwrap({ integers: 'int' }), /Invalid integers mode/);
+});
+
+test('unwrap maps typed values', () => {
+  const doc = parseStr('price: d"9.99", id: u"550E8400-E29B-41D4-A716-446655440000", wait: r"PT1M"');
+  assert.deepStrictEqual(doc.unwrap(), {
+    price: '9.99', id: '550e8400-e29b-41d4-a716-446655440000', wait: 'PT1M',
+  });
+  const mapped = doc.unwrap({
+    decimal: value => Number(value.value),
+    uuid: value => value.value.toUpperCase(),
+    duration: value => value.toMilliseconds(),
+  });
+  assert.deepStrictEqual(mapped, { price: 9.99, id: '550E8400-E29B-41D4-A716-446655440000', wait: 60000 });
+});
+
+test('unwrap keeps decorations on request', () => {
+  const doc = parseStr('admin: #user @since(2020) {name: "Ada"}, icon: @mime("image/png") "x", plain: 1');
+  assert.deepStrictEqual(doc.unwrap(), { admin: { name: 'Ada' }, icon: 'x', plain: 1n });
+
+  const wrapped = doc.unwrap({ decorations: 'wrap', integers: 'number' });
+  assert.deepStrictEqual(wrapped, {
+    admin: { value: { name: 'Ada' }, tags: ['user'], annotations: [{ name: 'since', args: [2020] }] },
+    icon: { value: 'x', tags: [], annotations: [{ name: 'mime', args: ['image/png'] }] },
+    plain: 1,
+  });
+
+  const marked = doc.unwrap({ decorations: 'symbol' });
+  assert.deepStrictEqual(marked.admin[DECORATIONS].tags, ['user']);
+  assert.strictEqual(JSON.stringify(marked.admin), '{"name":"Ada"}');
+  assert.deepStrictEqual(marked.icon.value, 'x');
+  assert.throws(() => doc.unwrap({ decorations: 'keep' }), /Invalid decorations mode/);
+});
+
+test('unwrap with symbol decorations leaves the document unchanged', () => {
+  const doc = parseStr('a: #t t"2025-01-15T10:30:00Z", b: #t b"AAE=", c: #t [1], d: #t {x: 1}');
+  const result = doc.unwrap({ decorations: 'symbol', objects: 'map' });
+  for (const key of ['a', 'b']) {
+    assert.strictEqual(Object.getOwnPropertySymbols(doc.get(key).value.value).length, 0, key);
+    assert.deepStrictEqual(result.get(key).tags, ['t']);
+    assert.strictEqual(result.get(key).value, doc.get(key).value.value);
+  }
+  assert.deepStrictEqual(result.get('c')[DECORATIONS].tags, ['t']);
+  assert.deepStrictEqual(result.get('d')[DECORATIONS].tags, ['t']);
+  assert.ok(result.get('d') instanceof Map);
+});
+
+test('unwrap never changes the prototype of results', () => {
+  const doc = parseStr('{"__proto__": {admin: true}, constructor: "x", name: "a"}');
+  const result = doc.unwrap();
+  assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+  assert.strictEqual(result.admin, undefined);
+  assert.deepStrictEqual(Object.keys(result), ['__proto__', 'constructor', 'name']);
+  assert.deepStrictEqual(result.__proto__, { admin: true });
+  assert.strictEqual({}.admin, undefined);
+
+  const bare = doc.unwrap({ objects: 'null' });
+  assert.strictEqual(Object.getPrototypeOf(bare), null);
+  assert.deepStrictEqual(Object.keys(bare), ['__proto__', 'constructor', 'name']);
+
+  assert.deepStrictEqual(Object.keys(doc.unwrap({ unsafeKeys: 'skip' })), ['name']);
+  assert.throws(() => doc.unwrap({ unsafeKeys: 'error' }), /Unsafe object key: __proto__ at 1:2/);
+  assert.throws(() => doc.unwrap({ unsafeKeys: 'escape' }), /Invalid unsafeKeys policy/);
+  assert.deepStrictEqual([...doc.unwrap({ objects: 'map', unsafeKeys: 'skip' }).keys()], ['name']);
+});
+
+test('unsafe keys stay data through fromJS and revivers', () => {
+  const input = JSON.parse('{"__proto__": {"admin": true}}');
+  const doc = fromJS(input);
+  assert.deepStrictEqual(doc.get('__proto__').unwrap(), { admin: true });
+  const revived = parseStr('{"__proto__": {admin: true}}', { reviver: (key, node) => node }).unwrap();
+  assert.strictEqual(Object.getPrototypeOf(revived), Object.prototype);
+  assert.strictEqual(revived.admin, undefined);
+});
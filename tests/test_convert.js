@@ -0,0 +1,84 @@
+/**
+ * Conversion Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, nodeFromJS, parseStr, toStringCompact } from '../src/index.js';
+import {
+  Document, Node, Tag, XObject, XArray, XString, Int, Float,
+  Bool, Null, DateTime, Bytes, DecimalValue
+} from '../src/ast.js';
+
+test('fromJS maps plain values to value types', () => {
+  const doc = fromJS({
+    s: 'text', i: 42, f: 1.5, big: 2n ** 64n, yes: true, none: null,
+    at: new Date('2025-01-15T10:30:00Z'), bin: new Uint8Array([1, 2]),
+    list: [1, 'a'], map: new Map([['k', 1]]), price: new DecimalValue('9.99'),
+  });
+  assert.ok(doc instanceof Document);
+  const root = doc.values[0].value;
+  assert.ok(root instanceof XObject);
+  const types = {
+    s: XString, i: Int, f: Float, big: Int, yes: Bool, none: Null,
+    at: DateTime, bin: Bytes, list: XArray, map: XObject, price: DecimalValue,
+  };
+  for (const [key, type] of Object.entries(types)) {
+    assert.ok(root.get(key).value instanceof type, key);
+  }
+  assert.strictEqual(root.get('i').value.value, 42n);
+  assert.strictEqual(root.get('big').value.value, 2n ** 64n);
+  assert.strictEqual(root.get('at').value.toString(), '2025-01-15T10:30:00.000Z');
+});
+
+test('fromJS round-trips through the serializer', () => {
+  const state = { name: 'Alice', tags: ['a', 'b'], nested: { ok: true, ratio: 0.5 } };
+  const doc = parseStr(toStringCompact(fromJS(state)));
+  assert.deepStrictEqual(doc.unwrap(), { name: 'Alice', tags: ['a', 'b'], nested: { ok: true, ratio: 0.5 } });
+});
+
+test('fromJS skips values without an xCDN form like JSON', () => {
+  const root = fromJS({ a: undefined, b: () => 1, c: Symbol('c'), d: [undefined, () => 1] }).values[0].value;
+  assert.deepStrictEqual(root.keys(), ['d']);
+  assert.ok(root.get('d').value.get(0).value instanceof Null);
+  assert.ok(root.get('d').value.get(1).value instanceof Null);
+  assert.deepStrictEqual(fromJS({ toJSON: () => 'x' }).unwrap(), 'x');
+  assert.throws(() => fromJS(undefined), TypeError);
+  assert.throws(() => fromJS(new Map([[1, 'a']])), /number key/);
+  assert.throws(() => fromJS({ at: new Date(NaN) }), /Invalid Date at \["at"\]/);
+});
+
+test('fromJS detects cycles but allows shared values', () => {
+  const shared = { x: 1 };
+  const doc = fromJS({ a: shared, b: shared });
+  assert.deepStrictEqual(doc.unwrap(), { a: { x: 1n }, b: { x: 1n } });
+
+  const cyclic = { list: [] };
+  cyclic.list.push(cyclic);
+  assert.throws(() => fromJS(cyclic), /circular structure to xCDN at \["list"\]\[0\]/);
+});
+
+test('fromJS adds decorations and prolog directives', () => {
+  const doc = fromJS({ admin: { id: 1 }, icon: new Uint8Array([1]) }, {
+    prolog: { schema: 'https://example.com/schema' },
+    decorate(value, path) {
+      if (path[0] === 'admin' && path.length === 1) return { tags: ['user'] };
+      if (value instanceof Uint8Array) return { annotations: [{ name: 'mime', args: ['image/png'] }] };
+      return undefined;
+    },
+  });
+  assert.strictEqual(
+    toStringCompact(doc),
+    '$schema:"https://example.com/schema"{admin:#user {id:1},icon:@mime("image/png") b"AQ=="}'
+  );
+});
+
+test('nodeFromJS keeps existing nodes', () => {
+  const tagged = new Node([new Tag('t')], [], new XString('x'));
+  const node = nodeFromJS({ a: tagged });
+  assert.strictEqual(node.value.get('a'), tagged);
+
+  const doc = parseStr('items: [1]');
+  doc.get('items').append(nodeFromJS({ id: 2 }));
+  assert.strictEqual(toStringCompact(doc), '{items:[1,{id:2}]}');
+});
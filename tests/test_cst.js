@@ -0,0 +1,83 @@
+/**
+ * Comment and Lossless Round-trip Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseStr, toStringPretty, toStringCompact, toStringLossless } from '../src/index.js';
+import { Int, XString } from '../src/ast.js';
+
+const source = `// Server settings
+$schema: "s.xcdn", // schema
+
+server: {
+  host: "localhost",   // the host
+  /* ports */
+  ports: [8080, 9090,],
+
+
+  // limits
+  timeout: r"PT30S",
+  // nothing after
+},
+debug:true
+// end of file
+`;
+
+test('trivia attaches comments and blank lines to nodes', () => {
+  const doc = parseStr(source, { trivia: true });
+  assert.strictEqual(doc.prolog[0].trivia.leading[0].text, '// Server settings');
+  assert.strictEqual(doc.prolog[0].trivia.trailing[0].text, '// schema');
+
+  const server = doc.get('server');
+  assert.strictEqual(server.trivia.blankLinesBefore, 1);
+  assert.deepStrictEqual(server.get('host').trivia.trailing.map(c => c.text), ['// the host']);
+  assert.strictEqual(server.get('ports').trivia.leading[0].kind, 'block');
+  assert.strictEqual(server.get('timeout').trivia.blankLinesBefore, 2);
+  assert.deepStrictEqual(server.value.trivia.dangling.map(c => c.text), ['// nothing after']);
+  assert.deepStrictEqual(doc.trivia.dangling.map(c => c.text), ['// end of file']);
+});
+
+test('comments are not kept by default', () => {
+  const doc = parseStr(source);
+  assert.strictEqual(doc.get('server').trivia, null);
+  assert.strictEqual(doc.source, null);
+});
+
+test('lossless output of an untouched document is identical', () => {
+  const doc = parseStr(source, { trivia: true });
+  assert.strictEqual(toStringLossless(doc), source);
+});
+
+test('lossless output keeps comments around edits', () => {
+  const doc = parseStr(source, { trivia: true });
+  doc.get('server').set('host', new XString('example.com'));
+  doc.get('server').get('ports').append(new Int(7070));
+
+  const output = toStringLossless(doc);
+  assert.ok(output.startsWith('// Server settings\n$schema: "s.xcdn", // schema\n\nserver: {'));
+  assert.ok(output.includes('host: "example.com", // the host\n'));
+  assert.ok(output.includes('/* ports */\n  ports: [\n    8080,\n    9090,\n    7070,\n  ],'));
+  assert.ok(output.includes('timeout: r"PT30S",\n  // nothing after\n}'));
+  assert.ok(output.endsWith('debug: true,\n// end of file\n'));
+
+  const reparsed = parseStr(output);
+  assert.deepStrictEqual(reparsed.get('server').get('ports').unwrap(), [8080n, 9090n, 7070n]);
+});
+
+test('unchanged values keep their original spelling', () => {
+  const text = 'a: {x: 1.50e3, y: "\\u0041"}, b: [1]';
+  const doc = parseStr(text, { trivia: true });
+  doc.get('b').append(new Int(2));
+  assert.strictEqual(toStringLossless(doc), 'a: {x: 1.50e3, y: "\\u0041"},\nb: [\n  1,\n  2,\n],\n');
+});
+
+test('pretty output keeps comments, compact output drops them', () => {
+  const doc = parseStr(source, { trivia: true });
+  const pretty = toStringPretty(doc);
+  assert.ok(pretty.includes('    host: "localhost", // the host\n'));
+  assert.ok(pretty.includes('    // nothing after\n  },'));
+  assert.ok(pretty.endsWith('// end of file\n'));
+  assert.strictEqual(toStringPretty(parseStr(pretty, { trivia: true })), pretty);
+  assert.ok(!toStringCompact(doc).includes('//'));
+});
@@ -0,0 +1,127 @@
+/**
+ * Decimal Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Decimal, RoundingMode, DecimalValue, parseStr, toStringCompact, fromJS, XCDNError, ErrorKind
+} from '../src/index.js';
+
+test('Decimal.parse keeps coefficient and scale', () => {
+  const cases = [
+    ['19.99', 1999n, 2],
+    ['-0.050', -50n, 3],
+    ['+12', 12n, 0],
+    ['.5', 5n, 1],
+    ['5.', 5n, 0],
+    ['1.5e3', 15n, -2],
+    ['1E-3', 1n, 3],
+  ];
+  for (const [text, coefficient, scale] of cases) {
+    const d = Decimal.parse(text);
+    assert.strictEqual(d.coefficient, coefficient, text);
+    assert.strictEqual(d.scale, scale, text);
+  }
+});
+
+test('Decimal.parse rejects malformed text with the offending index', () => {
+  for (const [text, index] of [['', 0], ['-', 1], ['1.2.3', 3], ['1e', 2], ['1e+', 3], ['12a', 2]]) {
+    assert.throws(() => Decimal.parse(text), (err) => err instanceof SyntaxError && err.index === index, text);
+  }
+});
+
+test('Decimal.toString writes exactly scale fraction digits', () => {
+  assert.strictEqual(new Decimal(1999n, 2).toString(), '19.99');
+  assert.strictEqual(new Decimal(-5n, 3).toString(), '-0.005');
+  assert.strictEqual(new Decimal(0n, 2).toString(), '0.00');
+  assert.strictEqual(new Decimal(15n, -2).toString(), '15e2');
+  assert.strictEqual(Decimal.from(0.1).toString(), '0.1');
+  assert.strictEqual(Decimal.from(2n ** 70n).toString(), (2n ** 70n).toString());
+  assert.strictEqual(JSON.stringify({ d: Decimal.parse('1.50') }), '{"d":"1.50"}');
+});
+
+test('Decimal add, sub and mul are exact', () => {
+  const a = Decimal.parse('0.1');
+  assert.strictEqual(a.add('0.2').toString(), '0.3');
+  assert.strictEqual(Decimal.parse('19.99').add('0.01').toString(), '20.00');
+  assert.strictEqual(Decimal.parse('1').sub('0.001').toString(), '0.999');
+  assert.strictEqual(Decimal.parse('19.99').mul(3).toString(), '59.97');
+  assert.strictEqual(Decimal.parse('1.5e3').mul('2').toString(), '30e2');
+  const big = Decimal.parse('12345678901234567890.123456789');
+  assert.strictEqual(big.add(big).toString(), '24691357802469135780.246913578');
+});
+
+test('Decimal div rounds to the requested scale', () => {
+  assert.strictEqual(Decimal.parse('1').div(3).toString(), '0.33333333333333333333');
+  assert.strictEqual(Decimal.parse('2').div(3, { scale: 2 }).toString(), '0.67');
+  assert.strictEqual(Decimal.parse('2').div(3, { scale: 2, rounding: RoundingMode.Down }).toString(), '0.66');
+  assert.strictEqual(Decimal.parse('-2').div(3, { scale: 2, rounding: RoundingMode.Floor }).toString(), '-0.67');
+  assert.strictEqual(Decimal.parse('1.50').div('0.5', { scale: 0 }).toString(), '3');
+  assert.strictEqual(Decimal.parse('150').div('1e2', { scale: 1 }).toString(), '1.5');
+  assert.throws(() => Decimal.parse('1').div('0.00'), RangeError);
+});
+
+test('Decimal round applies every rounding mode', () => {
+  const expected = {
+    [RoundingMode.Up]: ['3', '-3', '2', '-2'],
+    [RoundingMode.Down]: ['2', '-2', '2', '-2'],
+    [RoundingMode.Ceiling]: ['3', '-2', '2', '-2'],
+    [RoundingMode.Floor]: ['2', '-3', '2', '-2'],
+    [RoundingMode.HalfUp]: ['3', '-3', '2', '-2'],
+    [RoundingMode.HalfDown]: ['2', '-2', '2', '-2'],
+    [RoundingMode.HalfEven]: ['2', '-2', '2', '-2'],
+  };
+  for (const [mode, results] of Object.entries(expected)) {
+    const actual = ['2.5', '-2.5', '2.0', '-2.0'].map(text => Decimal.parse(text).round(0, mode).toString());
+    assert.deepStrictEqual(actual, results, mode);
+  }
+  assert.strictEqual(Decimal.parse('3.5').round(0).toString(), '4');
+  assert.strictEqual(Decimal.parse('2.51').round(0, RoundingMode.HalfDown).toString(), '3');
+  assert.strictEqual(Decimal.parse('1.2').round(3).toString(), '1.200');
+  assert.throws(() => Decimal.parse('1.25').round(1, 'nearest'), RangeError);
+});
+
+test('Decimal toFixed, normalize and compare', () => {
+  assert.strictEqual(Decimal.parse('19.995').toFixed(2), '20.00');
+  assert.strictEqual(Decimal.parse('19.985').toFixed(2), '19.98');
+  assert.strictEqual(Decimal.parse('7').toFixed(2), '7.00');
+  assert.strictEqual(Decimal.parse('1.500').normalize().toString(), '1.5');
+  assert.strictEqual(Decimal.parse('100.00').normalize().toString(), '100');
+  assert.strictEqual(Decimal.parse('15e2').normalize().toString(), '1500');
+  assert.strictEqual(Decimal.parse('1.5').compare('1.50'), 0);
+  assert.ok(Decimal.parse('1.5').equals('1.500'));
+  assert.strictEqual(Decimal.parse('-1').compare('0.001'), -1);
+  assert.strictEqual(Decimal.parse('2e1').compare(19), 1);
+  assert.strictEqual(Decimal.parse('-0.5').abs().sign, 1);
+  assert.strictEqual(Decimal.parse('0.00').sign, 0);
+});
+
+test('Decimal compare does not scale far-apart exponents', () => {
+  const start = Date.now();
+  assert.strictEqual(Decimal.parse('1e20000000').compare('1'), 1);
+  assert.strictEqual(Decimal.parse('1e-500000000').compare('-1'), 1);
+  assert.strictEqual(Decimal.parse('-1e-500000000').compare('-1e-500000001'), -1);
+  assert.strictEqual(Decimal.parse('99').compare('1e2'), -1);
+  assert.ok(Decimal.parse('1e20000000').equals('10e19999999'));
+  assert.ok(Date.now() - start < 1000);
+});
+
+test('DecimalValue exposes a Decimal and keeps the literal spelling', () => {
+  const doc = parseStr('{a: d"19.90", b: d"1.5E3", c: d"+0.0"}');
+  const a = doc.get('a').value;
+  assert.ok(a.decimal instanceof Decimal);
+  assert.strictEqual(a.decimal.scale, 2);
+  assert.strictEqual(toStringCompact(doc), '{a:d"19.90",b:d"1.5E3",c:d"+0.0"}');
+
+  const total = a.decimal.mul('2');
+  assert.strictEqual(toStringCompact(fromJS({ total })), '{total:d"39.80"}');
+  assert.strictEqual(new DecimalValue(new Decimal(0n, 3)).value, '0.000');
+  assert.throws(() => new DecimalValue('abc'), SyntaxError);
+  assert.strictEqual(doc.unwrap({ decimal: v => v.decimal }).a.toFixed(1), '19.9');
+});
+
+test('Malformed decimal literals still report InvalidDecimal', () => {
+  assert.throws(() => parseStr('x: d"1.2.3"'), (err) =>
+    err instanceof XCDNError && err.kind === ErrorKind.InvalidDecimal);
+});
@@ -0,0 +1,118 @@
+/**
+ * Equality Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  equals, hash, parseStr, fromJS, Node, Tag, ValueType, XString, Int, Float, DecimalValue
+} from '../src/index.js';
+
+/**
+ * Checks that equals and hash agree on two sources
+ * @param {string} a
+ * @param {string} b
+ * @param {boolean} expected
+ * @param {Object} [options]
+ */
+function check(a, b, expected, options) {
+  const docA = parseStr(a);
+  const docB = parseStr(b);
+  assert.strictEqual(equals(docA, docB, options), expected, `${a} vs ${b}`);
+  assert.strictEqual(hash(docA, options) === hash(docB, options), expected, `hash of ${a} vs ${b}`);
+}
+
+test('equals compares structure, not spelling or comments', () => {
+  check('{a: 1, b: [true, null, "x"]}', '{ a: 0x1, /* note */ b: [true, null, `x`], }', true);
+  check('{a: 1}', '{a: 2}', false);
+  check('{a: 1}', '{a: 1.0}', false);
+  check('[1, 2]', '[2, 1]', false);
+  check('{a: [1]}', '{a: [1, 2]}', false);
+  check('{a: "x"}', '{b: "x"}', false);
+  check('1 2', '1', false);
+  check('$schema: "a"\n{a: 1}', '{a: 1}', false);
+  check('{a: nan, b: -0.0}', '{a: nan, b: -0.0}', true);
+  check('{b: -0.0}', '{b: 0.0}', false);
+});
+
+test('equals compares tags and annotations in order', () => {
+  check('#a @b(1) 1', '#a @b(1) 1', true);
+  check('#a 1', '1', false);
+  check('#a #b 1', '#b #a 1', false);
+  check('@b(1) 1', '@b(2) 1', false);
+  check('@b(1) 1', '@c(1) 1', false);
+  check('@b() 1', '@b 1', true);
+});
+
+test('equals ignores key order unless asked', () => {
+  check('{a: 1, b: 2}', '{b: 2, a: 1}', true);
+  check('{a: 1, b: 2}', '{b: 2, a: 1}', false, { keyOrder: true });
+  check('{a: 1, b: 2}', '{a: 1, b: 2}', true, { keyOrder: true });
+});
+
+test('equals compares typed values by meaning', () => {
+  check('b"SGVsbG8="', 'b"SGVsbG8"', true);
+  check('b"SGVsbG8="', 'b"SGVsbA=="', false);
+  check('d"1.5"', 'd"1.50"', true);
+  check('d"15e2"', 'd"1500"', true);
+  check('d"1.5"', 'd"1.6"', false);
+  check('d"-0.0"', 'd"0"', true);
+  check('d"10e5"', 'd"1000000.00"', true);
+  check('r"PT01M"', 'r"PT1M"', true);
+  check('r"PT60S"', 'r"PT1M"', false);
+  check('u"550E8400-E29B-41D4-A716-446655440000"', 'u"550e8400-e29b-41d4-a716-446655440000"', true);
+});
+
+test('equals compares datetimes by instant or exactly', () => {
+  const a = 't"2025-01-15T10:30:00+02:00"';
+  const b = 't"2025-01-15T08:30:00.000Z"';
+  check(a, b, true);
+  check(a, b, false, { dateTime: 'exact' });
+  check(a, a, true, { dateTime: 'exact' });
+  check('t"2025-01-15T08:30:00.0001Z"', 't"2025-01-15T08:30:00.0002Z"', false);
+  check('t"2025-01-15T08:30:00.00010Z"', 't"2025-01-15T08:30:00.0001Z"', true);
+  assert.throws(() => equals(parseStr('1'), parseStr('2'), { dateTime: 'local' }), /Invalid dateTime/);
+});
+
+test('equals works on nodes and values', () => {
+  assert.ok(equals(new Int(1), new Int(1n)));
+  assert.ok(!equals(new Int(1), new Float(1)));
+  assert.ok(equals(new DecimalValue('2.0'), new DecimalValue('2')));
+  assert.ok(equals(new Node([new Tag('t')], [], new XString('x')), parseStr('#t "x"').values[0]));
+  assert.ok(equals(fromJS({ a: [1, 'x'] }), parseStr('{a: [1, "x"]}')));
+  assert.throws(() => equals({ a: 1 }, { a: 1 }), TypeError);
+});
+
+test('hash is stable and deduplicates nodes', () => {
+  const nodes = parseStr('[{a: 1, b: 2}, {b: 2, a: 1}, {a: 1}, #t {a: 1}]').values[0].value.value;
+  const unique = new Map(nodes.map(node => [hash(node), node]));
+  assert.strictEqual(unique.size, 3);
+  assert.match(hash(new Int(1)), /^[0-9a-f]{64}$/);
+  assert.strictEqual(hash(new XString('x')), hash(new XString('x')));
+  assert.notStrictEqual(hash(new XString('1')), hash(new Int(1)));
+});
+
+test('hash and equals handle decimals with huge exponents quickly', () => {
+  const start = Date.now();
+  const large = parseStr('d"1e20000000"');
+  const small = parseStr('d"1e-500000000"');
+  assert.match(hash(large), /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(hash(small), hash(parseStr('d"1"')));
+  assert.ok(!equals(large, parseStr('d"1"')));
+  assert.ok(equals(large, parseStr('d"10e19999999"')));
+  assert.ok(Date.now() - start < 1000);
+});
+
+test('equals compares custom values by class and text', () => {
+  class Ip extends ValueType {
+    constructor(value) {
+      super();
+      this.value = value;
+    }
+  }
+  class Host extends Ip {}
+  assert.ok(equals(new Ip('10.0.0.1'), new Ip('10.0.0.1')));
+  assert.ok(!equals(new Ip('10.0.0.1'), new Ip('10.0.0.2')));
+  assert.ok(!equals(new Ip('a'), new Host('a')));
+  assert.strictEqual(hash(new Ip('a')), hash(new Ip('a')));
+});
@@ -4,7 +4,8 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { Lexer, TokenType } from '../src/lexer.js';
+import { Lexer, TokenType, isIdentStart, isIdentContinue } from '../src/lexer.js';
+import { ErrorKind } from '../src/error.js';
 
 test('lexer tokenizes braces', () => {
   const lexer = new Lexer('{}[]()');
@@ -185,3 +186,126 @@ test('lexer returns EOF at end', () => {
   const t = lexer.nextToken();
   assert.strictEqual(t.kind, TokenType.EOF);
 });
+
+test('lexer handles code point escapes', () => {
+  const lexer = new Lexer('"\\u{41}\\u{1F600}\\u{10FFFF}"');
+  assert.strictEqual(lexer.nextToken().value, 'A\u{1F600}\u{10FFFF}');
+});
+
+test('lexer combines escaped surrogate pairs', () => {
+  const lexer = new Lexer('"\\uD83D\\uDE00 \\ud83d\\ude00"');
+  assert.strictEqual(lexer.nextToken().value, '\u{1F600} \u{1F600}');
+});
+
+test('lexer rejects lone surrogates', () => {
+  for (const source of ['"\\uD83D"', '"\\uD83Dx"', '"\\uDE00"', '"\\uD83D\\u0041"', '"\\u{D800}"']) {
+    assert.throws(() => new Lexer(source).nextToken(), (e) => {
+      assert.strictEqual(e.kind, ErrorKind.InvalidEscape);
+      assert.match(e.message, /Lone surrogate/);
+      assert.strictEqual(e.span.column, 2);
+      return true;
+    }, source);
+  }
+});
+
+test('lexer rejects malformed code point escapes', () => {
+  for (const source of ['"\\u{}"', '"\\u{1234567}"', '"\\u{41"', '"\\u{110000}"', '"\\u12"']) {
+    assert.throws(() => new Lexer(source).nextToken(), (e) => e.kind === ErrorKind.InvalidEscape, source);
+  }
+});
+
+test('lexer tokenizes unicode identifiers', () => {
+  const lexer = new Lexer('città naïve-2 _日本 𝑥1 ünïcödé');
+  assert.strictEqual(lexer.nextToken().value, 'città');
+  assert.strictEqual(lexer.nextToken().value, 'naïve-2');
+  assert.strictEqual(lexer.nextToken().value, '_日本');
+  assert.strictEqual(lexer.nextToken().value, '𝑥1');
+  assert.strictEqual(lexer.nextToken().value, 'ünïcödé');
+  assert.strictEqual(lexer.nextToken().kind, TokenType.EOF);
+});
+
+test('lexer rejects symbols outside identifiers', () => {
+  assert.throws(() => new Lexer('😀').nextToken(), (e) => e.kind === ErrorKind.InvalidToken && e.context === '😀');
+  assert.ok(isIdentStart('é') && !isIdentStart('1') && !isIdentStart('-'));
+  assert.ok(isIdentContinue('1') && isIdentContinue('-') && isIdentContinue('́'));
+});
+
+test('lexer dedents triple strings that open with a line break', () => {
+  const lexer = new Lexer('"""\n    SELECT *\n      FROM t\n\n    WHERE x\n    """');
+  assert.strictEqual(lexer.nextToken().value, 'SELECT *\n  FROM t\n\nWHERE x');
+});
+
+test('lexer dedents against the closing delimiter line', () => {
+  assert.strictEqual(new Lexer('"""\n    a\n      b\n  """').nextToken().value, '  a\n    b');
+  assert.strictEqual(new Lexer('"""\n  a\n\n  """').nextToken().value, 'a\n');
+  assert.strictEqual(new Lexer('"""\r\n  a\r\n  b"""').nextToken().value, 'a\nb');
+  assert.strictEqual(new Lexer('"""\n"""').nextToken().value, '');
+  assert.strictEqual(new Lexer('""" keep\n  as is """').nextToken().value, ' keep\n  as is ');
+});
+
+test('lexer tokenizes raw strings', () => {
+  const lexer = new Lexer('`C:\\path\\n` `a\n  "b"`');
+  const t1 = lexer.nextToken();
+  assert.strictEqual(t1.kind, TokenType.RAW_STRING);
+  assert.strictEqual(t1.value, 'C:\\path\\n');
+  assert.strictEqual(lexer.nextToken().value, 'a\n  "b"');
+  assert.throws(() => new Lexer('`open').nextToken(), (e) => e.kind === ErrorKind.Eof);
+});
+
+test('lexer tokenizes radix integers', () => {
+  const lexer = new Lexer('0xFF 0o755 0b1010 -0x10 +0B1 0XdeadBEEF');
+  for (const expected of [255n, 0o755n, 10n, -16n, 1n, 0xdeadbeefn]) {
+    const token = lexer.nextToken();
+    assert.strictEqual(token.kind, TokenType.INT);
+    assert.strictEqual(token.value, expected);
+  }
+});
+
+test('lexer accepts digit separators between digits', () => {
+  const lexer = new Lexer('1_000_000 0xFF_FF 1_000.000_1 1e1_0 0b1111_0000');
+  assert.strictEqual(lexer.nextToken().value, 1000000n);
+  assert.strictEqual(lexer.nextToken().value, 0xffffn);
+  assert.strictEqual(lexer.nextToken().value, 1000.0001);
+  assert.strictEqual(lexer.nextToken().value, 1e10);
+  assert.strictEqual(lexer.nextToken().value, 0b11110000n);
+});
+
+test('lexer rejects malformed numbers', () => {
+  for (const source of ['1__0', '1_', '1_.5', '0x', '0x_1', '0o78', '0b102', '0xFG']) {
+    assert.throws(() => new Lexer(source).nextToken(), (e) => e.kind === ErrorKind.InvalidNumber, source);
+  }
+});
+
+test('lexer tokenizes signed infinity', () => {
+  const lexer = new Lexer('-inf +inf inf nan');
+  assert.strictEqual(lexer.nextToken().value, -Infinity);
+  assert.strictEqual(lexer.nextToken().value, Infinity);
+  // Unsigned spellings are identifiers, read as floats by the parser
+  assert.strictEqual(lexer.nextToken().kind, TokenType.IDENT);
+  assert.strictEqual(lexer.nextToken().kind, TokenType.IDENT);
+  assert.throws(() => new Lexer('-info').nextToken(), (e) => e.kind === ErrorKind.InvalidToken);
+});
+
+test('lexer tokenizes typed strings with any prefix', () => {
+  const lexer = new Lexer('d"1.5" ip"10.0.0.1" ip "x"');
+  const t1 = lexer.nextToken();
+  assert.strictEqual(t1.kind, TokenType.D_QUOTED);
+  assert.strictEqual(t1.prefix, 'd');
+  const t2 = lexer.nextToken();
+  assert.strictEqual(t2.kind, TokenType.TYPED_QUOTED);
+  assert.strictEqual(t2.prefix, 'ip');
+  assert.strictEqual(t2.value, '10.0.0.1');
+  // A space separates an identifier from a string
+  assert.strictEqual(lexer.nextToken().kind, TokenType.IDENT);
+  assert.strictEqual(lexer.nextToken().kind, TokenType.STRING);
+});
+
+test('lexer spans count bytes, code units and code points', () => {
+  const lexer = new Lexer('"é😀" x');
+  lexer.nextToken();
+  const span = lexer.nextToken().span;
+  assert.strictEqual(span.offset, 9);
+  assert.strictEqual(span.index, 6);
+  assert.strictEqual(span.column, 6);
+  assert.strictEqual(span.line, 1);
+});
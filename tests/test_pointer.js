@@ -0,0 +1,151 @@
+/**
+ * Pointer Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseStr, toStringCompact, Document, Node, XArray, XString, Int,
+  PointerError, parsePointer, formatPointer
+} from '../src/index.js';
+
+const SOURCE = `
+$schema: "https://example.com/v1"
+{
+  server_config: {
+    host: "localhost",
+    ports: [8080, 8081],
+    "a/b": { "~x": 1 },
+  },
+}
+{ second: true }
+`;
+
+test('parsePointer and formatPointer escape ~ and /', () => {
+  assert.deepStrictEqual(parsePointer(''), []);
+  assert.deepStrictEqual(parsePointer('/'), ['']);
+  assert.deepStrictEqual(parsePointer('/a~1b/~0x/~01'), ['a/b', '~x', '~1']);
+  assert.strictEqual(formatPointer(['a/b', '~x', 2]), '/a~1b/~0x/2');
+  assert.throws(() => parsePointer('a'), PointerError);
+  assert.throws(() => parsePointer('/a/~2'), (err) => err instanceof PointerError && err.segment === '~2');
+});
+
+test('at reads objects, arrays and escaped keys', () => {
+  const doc = parseStr(SOURCE);
+  assert.strictEqual(doc.at('/server_config/ports/1').value.value, 8081n);
+  assert.strictEqual(doc.at('/server_config/a~1b/~0x').value.value, 1n);
+  assert.strictEqual(doc.at(''), doc.values[0]);
+  assert.strictEqual(doc.at('/server_config/ports/2'), undefined);
+  assert.strictEqual(doc.at('/server_config/ports/-'), undefined);
+  assert.strictEqual(doc.at('/missing/deeper'), undefined);
+  assert.strictEqual(new Document().at('/a'), undefined);
+});
+
+test('the root option addresses the value stream and the prolog', () => {
+  const doc = parseStr(SOURCE);
+  assert.strictEqual(doc.at('/second', { root: 1 }).value.value, true);
+  assert.strictEqual(doc.at('/server_config/host', { root: 0 }).value.value, 'localhost');
+  assert.strictEqual(doc.at('', { root: 'schema' }).value.value, 'https://example.com/v1');
+  assert.strictEqual(doc.at('', { root: 2 }), undefined);
+  assert.strictEqual(doc.at('/a', { root: 'missing' }), undefined);
+
+  doc.setAt('', { third: 3 }, { root: doc.values.length });
+  assert.strictEqual(doc.values.length, 3);
+  doc.setAt('', 'https://example.com/v2', { root: 'schema' });
+  doc.setAt('', 2, { root: 'version' });
+  assert.deepStrictEqual(doc.prolog.map(d => [d.name, d.value.value.value]),
+    [['schema', 'https://example.com/v2'], ['version', 2n]]);
+  assert.strictEqual(doc.deleteAt('', { root: 'version' }).value.value, 2n);
+  assert.strictEqual(doc.deleteAt('', { root: 1 }).value.get('second').value.value, true);
+  assert.strictEqual(doc.at('/third', { root: 1 }).value.value, 3n);
+  assert.throws(() => doc.at('', { root: -1 }), TypeError);
+  assert.throws(() => doc.at('', { root: '' }), TypeError);
+});
+
+test('keys starting with $ are ordinary keys', () => {
+  const doc = parseStr('$schema: "v1"\n{ "$ref": 1, "$id": 1, "$1": 1 }');
+  assert.strictEqual(doc.at('/$ref').value.value, 1n);
+  assert.strictEqual(doc.at('/$1').value.value, 1n);
+  assert.strictEqual(doc.at('/$schema'), undefined);
+  doc.setAt('/$id', 2);
+  doc.setAt('/$schema', 'key');
+  assert.strictEqual(doc.deleteAt('/$ref').value.value, 1n);
+  assert.strictEqual(toStringCompact(doc), '$schema:"v1"{"$id":2,"$1":1,"$schema":"key"}');
+  assert.strictEqual(doc.prolog.length, 1);
+});
+
+test('setAt replaces, adds and appends', () => {
+  const doc = parseStr(SOURCE);
+  doc.setAt('/server_config/host', 'example.com');
+  doc.setAt('/server_config/ports/0', new Int(80));
+  doc.setAt('/server_config/ports/-', 443);
+  doc.setAt('/server_config/tls', new Node([], [], new XString('on')));
+  assert.strictEqual(toStringCompact(doc),
+    '$schema:"https://example.com/v1"{server_config:{host:"example.com",ports:[80,8081,443],"a/b":{"~x":1},tls:"on"}}{second:true}');
+});
+
+test('setAt only creates containers when asked', () => {
+  const doc = parseStr('{}');
+  assert.throws(() => doc.setAt('/a/b/0', 1), (err) => {
+    assert.ok(err instanceof PointerError);
+    assert.strictEqual(err.segment, 'a');
+    assert.strictEqual(err.at, '/a');
+    assert.strictEqual(err.pointer, '/a/b/0');
+    assert.match(err.message, /No value to step into at segment "a" \(\/a of pointer "\/a\/b\/0"\)/);
+    return true;
+  });
+  doc.setAt('/a/b/0/c', 1, { create: true });
+  assert.strictEqual(toStringCompact(doc), '{a:{b:[{c:1}]}}');
+
+  const empty = new Document();
+  empty.setAt('/items/-', 'x', { create: true });
+  assert.strictEqual(toStringCompact(empty), '{items:["x"]}');
+});
+
+test('errors name the failing segment', () => {
+  const doc = parseStr(SOURCE);
+  assert.throws(() => doc.setAt('/server_config/ports/5', 1), (err) =>
+    err.segment === '5' && err.at === '/server_config/ports/5' && /past the end of the array \(length 2\)/.test(err.message));
+  assert.throws(() => doc.at('/server_config/host/x'), (err) =>
+    err.segment === 'x' && /Cannot step into XString/.test(err.message));
+  assert.throws(() => doc.at('/server_config/ports/01'), (err) =>
+    err.segment === '01' && /Expected an array index/.test(err.message));
+  assert.throws(() => doc.deleteAt('/server_config/nope'), (err) =>
+    err.segment === 'nope' && /No key "nope"/.test(err.message));
+  assert.throws(() => doc.deleteAt('/server_config/ports/-'), /No item 2 in the array/);
+  assert.throws(() => doc.setAt('', 1, { root: 7 }), /past the end of the document/);
+  assert.throws(() => doc.deleteAt('', { root: 'nope' }), /No directive \$nope/);
+  assert.throws(() => new Document().setAt('/a', 1), /No top-level value 0 to step into/);
+  assert.throws(() => doc.setAt('/a', 1, { root: 'nope' }), /No directive \$nope to step into/);
+});
+
+test('deleteAt removes entries and shifts items', () => {
+  const doc = parseStr(SOURCE);
+  assert.strictEqual(doc.deleteAt('/server_config/ports/0').value.value, 8080n);
+  assert.strictEqual(doc.deleteAt('/server_config/a~1b').value.get('~x').value.value, 1n);
+  assert.strictEqual(toStringCompact(doc), '$schema:"https://example.com/v1"{server_config:{host:"localhost",ports:[8081]}}{second:true}');
+});
+
+test('ensurePath creates missing objects and keeps existing nodes', () => {
+  const doc = parseStr('{ a: { b: 1 } }');
+  const created = doc.ensurePath('/a/c/d');
+  assert.strictEqual(doc.at('/a/c/d'), created);
+  assert.strictEqual(doc.ensurePath('/a/b'), doc.at('/a/b'));
+  assert.strictEqual(toStringCompact(doc), '{a:{b:1,c:{d:{}}}}');
+  assert.throws(() => doc.ensurePath('/a/b/c'), /Cannot step into Int/);
+});
+
+test('XArray.set refuses to leave holes', () => {
+  const array = new XArray();
+  array.set(0, new Node([], [], new Int(1)));
+  array.set(1, new Node([], [], new Int(2)));
+  assert.strictEqual(array.length, 2);
+  assert.throws(() => array.set(3, new Node([], [], new Int(4))), RangeError);
+  assert.throws(() => array.set(-1, new Node([], [], new Int(0))), RangeError);
+  assert.throws(() => array.set(0.5, new Node([], [], new Int(0))), RangeError);
+});
+
+test('Document.set requires a leading object', () => {
+  assert.throws(() => parseStr('[1]').set('a', 1), TypeError);
+  assert.throws(() => new Document().set('a', 1), TypeError);
+});
@@ -0,0 +1,107 @@
+/**
+ * Query Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { query, Query, parseStr, Node } from '../src/index.js';
+
+const doc = parseStr(`
+servers: [
+  #primary {host: "a", port: 1},
+  {host: "b", port: 2},
+  #primary @weight(2) {host: "c", port: 3},
+],
+admin: #admin {name: "root", logo: @mime("image/png") b"AA=="},
+deep: {x: {host: "z", ratio: 0.5}},
+`);
+
+/**
+ * Runs a query and returns the paths and unwrapped values found
+ * @param {string} expression
+ * @param {*} [target=doc]
+ * @returns {Array}
+ */
+function find(expression, target = doc) {
+  return query(target, expression).map(match => [match.path, match.node.unwrap({ integers: 'number' })]);
+}
+
+test('query follows names, indexes and wildcards', () => {
+  assert.deepStrictEqual(find('servers[1].host'), [[['servers', 1, 'host'], 'b']]);
+  assert.deepStrictEqual(find('$.servers[-1].port'), [[['servers', 2, 'port'], 3]]);
+  assert.deepStrictEqual(find('deep["x"].`host`'), [[['deep', 'x', 'host'], 'z']]);
+  assert.deepStrictEqual(find('servers[*].port'), [
+    [['servers', 0, 'port'], 1], [['servers', 1, 'port'], 2], [['servers', 2, 'port'], 3],
+  ]);
+  assert.deepStrictEqual(find('deep.*.*').map(([path]) => path), [['deep', 'x', 'host'], ['deep', 'x', 'ratio']]);
+  assert.deepStrictEqual(find('servers[5]'), []);
+  assert.deepStrictEqual(find('servers.host'), []);
+  assert.deepStrictEqual(find('missing.host'), []);
+  assert.strictEqual(find('$').length, 1);
+});
+
+test('query slices and unions', () => {
+  const ports = (expression) => find(expression).map(([, value]) => value);
+  assert.deepStrictEqual(ports('servers[0:2].port'), [1, 2]);
+  assert.deepStrictEqual(ports('servers[1:].port'), [2, 3]);
+  assert.deepStrictEqual(ports('servers[-2:].port'), [2, 3]);
+  assert.deepStrictEqual(ports('servers[::2].port'), [1, 3]);
+  assert.deepStrictEqual(ports('servers[::-1].port'), [3, 2, 1]);
+  assert.deepStrictEqual(ports('servers[2, 0].port'), [3, 1]);
+  assert.deepStrictEqual(find('deep.x["host", "ratio"]').map(([, value]) => value), ['z', 0.5]);
+});
+
+test('query filters on tags, annotations and types', () => {
+  assert.deepStrictEqual(find('servers[*] #primary .host'), [
+    [['servers', 0, 'host'], 'a'], [['servers', 2, 'host'], 'c'],
+  ]);
+  assert.deepStrictEqual(find('servers[*]@weight.host'), [[['servers', 2, 'host'], 'c']]);
+  assert.deepStrictEqual(find('servers[*] @weight(2) .port'), [[['servers', 2, 'port'], 3]]);
+  assert.deepStrictEqual(find('servers[*] @weight(3)'), []);
+  assert.deepStrictEqual(find('..@mime("image/png")').map(([path]) => path), [['admin', 'logo']]);
+  assert.deepStrictEqual(find('..#admin .name'), [[['admin', 'name'], 'root']]);
+  assert.deepStrictEqual(find('..:float'), [[['deep', 'x', 'ratio'], 0.5]]);
+  assert.deepStrictEqual(find('admin.* :bytes').map(([path]) => path), [['admin', 'logo']]);
+  assert.deepStrictEqual(find('servers #primary'), []);
+});
+
+test('query descends recursively', () => {
+  assert.deepStrictEqual(find('..host').map(([, value]) => value), ['a', 'b', 'c', 'z']);
+  assert.deepStrictEqual(find('..[0].host'), [[['servers', 0, 'host'], 'a']]);
+  assert.strictEqual(find('..*').length, 17);
+});
+
+test('query returns nodes and top-level positions', () => {
+  const stream = parseStr('{id: 1} #x {id: 2} [{id: 3}]');
+  const matches = query(stream, '..id');
+  assert.deepStrictEqual(matches.map(m => [m.index, m.path]), [[0, ['id']], [1, ['id']], [2, [0, 'id']]]);
+  assert.ok(matches.every(m => m.node instanceof Node));
+  assert.deepStrictEqual(query(stream, '#x').map(m => m.index), [1]);
+
+  const compiled = new Query('..port');
+  assert.deepStrictEqual(query(doc.values[0], compiled).map(m => m.path), [
+    ['servers', 0, 'port'], ['servers', 1, 'port'], ['servers', 2, 'port'],
+  ]);
+  assert.throws(() => query({}, 'a'), TypeError);
+});
+
+test('documents and nodes have a query method', () => {
+  assert.deepStrictEqual(doc.query('servers[*] #primary .host').map(m => m.node.value.value), ['a', 'c']);
+  const servers = doc.get('servers');
+  assert.deepStrictEqual(servers.query('[-1].port').map(m => m.path), [[2, 'port']]);
+  assert.deepStrictEqual(doc.query(new Query('..ratio')), query(doc, '..ratio'));
+  assert.throws(() => doc.query('servers['), SyntaxError);
+});
+
+test('malformed queries report the offending position', () => {
+  for (const [expression, index] of [
+    ['servers[', 8], ['servers[1', 9], ['servers[::0]', 10], ['a b', 2], ['.', 1], [':nope', 1],
+    ['@m(', 2], ['@m(1 2)', 2], ['[*', 2], ['#', 1],
+  ]) {
+    assert.throws(() => new Query(expression), (err) => {
+      assert.ok(err instanceof SyntaxError, expression);
+      assert.strictEqual(err.index, index, expression);
+      return true;
+    });
+  }
+});
@@ -4,11 +4,14 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { parseStr, toStringPretty, toStringCompact, toStringWithFormat, Format } from '../src/index.js';
+import {
+  parseStr, toStringPretty, toStringCompact, toStringWithFormat, Format, Serializer,
+  defaultLiterals
+} from '../src/index.js';
 import {
   Document, Directive, Node, Tag, Annotation,
   XObject, XArray, XString, Int, Float, Bool, Null,
-  DateTime, Duration, Uuid, DecimalValue, Bytes
+  DateTime, Duration, Uuid, DecimalValue, Bytes, ValueType
 } from '../src/ast.js';
 
 test('serialize null', () => {
@@ -80,6 +83,20 @@ test('serialize duration', () => {
   assert.ok(output.includes('r"PT30S"'));
 });
 
+test('serialize durations in canonical form', () => {
+  const doc = parseStr('{a: r"+P0Y01M", b: r"PT1,50S", c: r"-PT0S", d: r"-P2WT0.10S"}');
+  assert.strictEqual(toStringCompact(doc), '{a:r"P1M",b:r"PT1.5S",c:r"PT0S",d:r"-P2WT0.1S"}');
+  assert.strictEqual(doc.get('a').value.toString(), '+P0Y01M');
+});
+
+test('durations above 2^53 round-trip exactly', () => {
+  for (const literal of ['r"P1000000000000000000000Y"', 'r"PT12345678901234567891S"', 'r"P9007199254740993DT0.5S"']) {
+    const text = toStringPretty(parseStr(literal));
+    assert.strictEqual(text.trim(), literal);
+    assert.strictEqual(toStringPretty(parseStr(text)), text);
+  }
+});
+
 test('serialize array', () => {
   const doc = parseStr('value: [1, 2, 3]');
   const output = toStringCompact(doc);
@@ -169,6 +186,92 @@ test('unquoted keys for simple identifiers', () => {
   assert.ok(!output.includes('"simple_key"'));
 });
 
+test('unicode identifiers stay unquoted', () => {
+  const doc = parseStr('{città: 1, "日本": 2, "𝑥": 3, "a b": 4}');
+  const output = toStringCompact(doc);
+  assert.strictEqual(output, '{città:1,日本:2,𝑥:3,"a b":4}');
+});
+
+test('keyword keys are quoted', () => {
+  const doc = parseStr('{"true": 1, "null": 2, nullable: 3}');
+  const output = toStringCompact(doc);
+  assert.strictEqual(output, '{"true":1,"null":2,nullable:3}');
+  assert.deepStrictEqual(parseStr(output).unwrap(), { true: 1n, null: 2n, nullable: 3n });
+});
+
+test('multi-line strings become indented blocks in pretty mode', () => {
+  const doc = parseStr('{query: "SELECT *\\n  FROM t\\n", note: "one line"}');
+  const output = toStringPretty(doc);
+  assert.ok(output.includes('query: """\n    SELECT *\n      FROM t\n\n    """'), output);
+  assert.ok(output.includes('note: "one line"'));
+  assert.strictEqual(parseStr(output).values[0].get('query').unwrap(), 'SELECT *\n  FROM t\n');
+  assert.ok(toStringCompact(doc).includes('"SELECT *\\n  FROM t\\n"'));
+});
+
+test('multi-line strings that a block would alter stay escaped', () => {
+  for (const value of ['a\n   \nb', 'a\n"""', 'a\r\nb', 'a\n\u0001']) {
+    const doc = parseStr('{}');
+    doc.values[0].value.set('v', new XString(value));
+    const output = toStringPretty(doc);
+    assert.ok(!output.includes('"""\n'), output);
+    assert.strictEqual(parseStr(output).values[0].get('v').unwrap(), value);
+  }
+});
+
+test('serialize non-finite floats', () => {
+  const doc = parseStr('[inf, -inf, nan]');
+  const output = toStringCompact(doc);
+  assert.strictEqual(output, '[inf,-inf,nan]');
+  const values = parseStr(output).values[0].unwrap();
+  assert.deepStrictEqual(values.slice(0, 2), [Infinity, -Infinity]);
+  assert.ok(Number.isNaN(values[2]));
+});
+
+test('serialize integers in their radix', () => {
+  const doc = parseStr('[0xFF, -0o17, 0b101, 42]');
+  assert.strictEqual(toStringCompact(doc), '[0xff,-0o17,0b101,42]');
+  const int = new Int(255n, 16);
+  assert.strictEqual(new Serializer(new Format(false)).formatInt(int), '0xff');
+});
+
+test('number-mode integers serialize as integers', () => {
+  const source = '[100000000000000000000000, -1000000000000000000000, 0x1000000000000000000000]';
+  for (const integers of ['number', 'auto']) {
+    const output = toStringPretty(parseStr(source, { integers }));
+    assert.ok(!output.includes('e+'), output);
+    const reparsed = parseStr(output).values[0].value;
+    for (const node of reparsed) {
+      assert.ok(node.value instanceof Int);
+    }
+  }
+  const doc = parseStr(source, { integers: 'number' });
+  assert.strictEqual(toStringCompact(doc), '[99999999999999991611392,-1000000000000000000000,0x1000000000000000000000]');
+});
+
+test('floats always serialize as floats', () => {
+  const doc = parseStr('[1.0, -0.0, 1e21, 2.5e-7, 100.0]');
+  const output = toStringCompact(doc);
+  assert.strictEqual(output, '[1.0,-0.0,1e+21,2.5e-7,100.0]');
+  const reparsed = parseStr(output).values[0].value;
+  for (const node of reparsed) {
+    assert.ok(node.value instanceof Float);
+  }
+  assert.ok(Object.is(reparsed.get(1).value.value, -0));
+});
+
+test('kept lexemes are reused while they match the value', () => {
+  const source = '{a: 1.50, b: 1E3, c: 0xFF_FF, d: 1_000, e: +7, f: inf, g: 2.0}';
+  const doc = parseStr(source, { keepLexemes: true });
+  const root = doc.values[0].value;
+  assert.strictEqual(root.get('a').value.lexeme, '1.50');
+  assert.strictEqual(toStringCompact(doc), '{a:1.50,b:1E3,c:0xFF_FF,d:1_000,e:+7,f:inf,g:2.0}');
+
+  root.get('a').value.value = 2.25;
+  root.get('c').value.radix = 10;
+  assert.strictEqual(toStringCompact(doc), '{a:2.25,b:1E3,c:65535,d:1_000,e:+7,f:inf,g:2.0}');
+  assert.strictEqual(parseStr('{a: 1.50}').values[0].value.get('a').value.lexeme, null);
+});
+
 test('roundtrip preserves data', () => {
   const source = `
     $schema: "test",
@@ -188,3 +291,24 @@ test('roundtrip preserves data', () => {
   const output2 = toStringPretty(doc2);
   assert.strictEqual(output1, output2);
 });
+
+test('custom typed literals round-trip', () => {
+  class SemVer extends ValueType {
+    constructor(text) {
+      super();
+      [this.major, this.minor, this.patch] = text.split('.').map(Number);
+    }
+  }
+  const literals = defaultLiterals.clone().register({
+    prefix: 'sv',
+    type: SemVer,
+    parse: (text) => new SemVer(text),
+    format: (value) => `${value.major}.${value.minor}.${value.patch}`,
+  });
+
+  const doc = parseStr('{version: sv"1.2.3", id: u"550e8400-e29b-41d4-a716-446655440000"}', { literals });
+  doc.values[0].value.get('version').value.minor = 4;
+  const output = new Serializer(new Format(false, 0, false), literals).serialize(doc);
+  assert.strictEqual(output, '{version:sv"1.4.3",id:u"550e8400-e29b-41d4-a716-446655440000"}');
+  assert.throws(() => toStringCompact(doc), /Unknown value type: SemVer/);
+});
@@ -0,0 +1,139 @@
+/**
+ * Streaming Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { parseStream, StreamParser } from '../src/stream.js';
+import { XCDNError, ErrorKind } from '../src/error.js';
+import { XObject, Int } from '../src/ast.js';
+
+async function collect(iterable) {
+  const nodes = [];
+  for await (const node of iterable) {
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Splits a string into chunks of the given size
+ */
+function* chunked(source, size) {
+  for (let i = 0; i < source.length; i += size) {
+    yield source.slice(i, i + size);
+  }
+}
+
+test('stream yields each top-level value', async () => {
+  const nodes = await collect(parseStream(['{a: 1} {a: 2}', ' [3, 4] 5']));
+  assert.strictEqual(nodes.length, 4);
+  assert.ok(nodes[0].value instanceof XObject);
+  assert.strictEqual(nodes[1].get('a').value.value, 2n);
+  assert.strictEqual(nodes[2].length, 2);
+  assert.ok(nodes[3].value instanceof Int);
+});
+
+test('stream handles tokens split across chunks', async () => {
+  const source = '#log {msg: "hello \\u00e9", n: 12345, t: t"2025-01-15T10:30:00Z"} /* c */ 42 true';
+  for (const size of [1, 2, 3, 7]) {
+    const nodes = await collect(parseStream(chunked(source, size)));
+    assert.strictEqual(nodes.length, 3);
+    assert.strictEqual(nodes[0].tags[0].name, 'log');
+    assert.strictEqual(nodes[0].get('msg').value.value, 'hello é');
+    assert.strictEqual(nodes[0].get('n').value.value, 12345n);
+    assert.strictEqual(nodes[1].value.value, 42n);
+    assert.strictEqual(nodes[2].value.value, true);
+  }
+});
+
+test('stream accepts byte chunks from a Node stream', async () => {
+  const bytes = new TextEncoder().encode('"città" "ok"');
+  const nodes = await collect(parseStream(Readable.from([bytes.slice(0, 5), bytes.slice(5)])));
+  assert.deepStrictEqual(nodes.map(n => n.unwrap()), ['città', 'ok']);
+});
+
+test('stream accepts a web ReadableStream', async () => {
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue('1 ');
+      controller.enqueue('2');
+      controller.close();
+    }
+  });
+  const nodes = await collect(parseStream(stream));
+  assert.deepStrictEqual(nodes.map(n => n.unwrap()), [1n, 2n]);
+});
+
+test('stream parser emits values as soon as they complete', () => {
+  const parser = new StreamParser();
+  assert.deepStrictEqual(parser.push('$schema: "s", {a: 1'), []);
+  assert.strictEqual(parser.prolog.length, 1);
+  const nodes = parser.push('} 2');
+  assert.strictEqual(nodes.length, 1);
+  assert.strictEqual(nodes[0].get('a').value.value, 1n);
+  assert.strictEqual(parser.end()[0].value.value, 2n);
+});
+
+test('stream parser returns a closed value from the push that completes it', () => {
+  const parser = new StreamParser();
+  assert.strictEqual(parser.push('{a: 1}\n')[0].get('a').value.value, 1n);
+  assert.deepStrictEqual(parser.push('[1, 2]').map(node => node.length), [2]);
+  assert.deepStrictEqual(parser.push('"x" `y` d"1.5"').map(node => node.unwrap()), ['x', 'y', '1.5']);
+  // Numbers, words and an empty string may go on in the next chunk
+  assert.deepStrictEqual(parser.push(' 12'), []);
+  assert.deepStrictEqual(parser.push('3 // a comm').map(node => node.value.value), [123n]);
+  assert.deepStrictEqual(parser.push('ent\n tr'), []);
+  assert.deepStrictEqual(parser.push('ue ""').map(node => node.value.value), [true]);
+  assert.deepStrictEqual(parser.push('"block"""').map(node => node.value.value), ['block']);
+});
+
+test('stream spans are absolute', () => {
+  const parser = new StreamParser();
+  parser.push('1\n2 ');
+  parser.push('[');
+  assert.throws(() => parser.push(' } ]'), (e) => {
+    assert.ok(e instanceof XCDNError);
+    assert.strictEqual(e.span.line, 2);
+    assert.strictEqual(e.span.offset, 6);
+    return true;
+  });
+});
+
+test('stream reports values truncated at end of input', async () => {
+  await assert.rejects(collect(parseStream(['{a: 1'])), XCDNError);
+});
+
+test('stream parser applies limits to the whole stream', () => {
+  const parser = new StreamParser({ maxInputLength: 10, maxDepth: 1 });
+  assert.strictEqual(parser.push('1 2 ').length, 2);
+  assert.throws(() => parser.push('3 4 5 6'), (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxInputLengthExceeded);
+    assert.strictEqual(e.span.offset, 10);
+    return true;
+  });
+  assert.throws(() => new StreamParser({ maxDepth: 1 }).push('[[1]] '), (e) => e.kind === ErrorKind.MaxDepthExceeded);
+});
+
+test('stream parser takes the parse options', async () => {
+  const nodes = await collect(parseStream(['1 ', '2'], { integers: 'number' }));
+  assert.deepStrictEqual(nodes.map(node => node.value.value), [1, 2]);
+  assert.throws(() => new StreamParser({ implicitObject: 'force' }), /implicit objects/);
+  assert.throws(() => new StreamParser({ recover: true }), /recover/);
+  await assert.rejects(parseStream(['1'], { recover: true }).next(), /recover/);
+});
+
+test('stream parser limits a string that never ends', () => {
+  const parser = new StreamParser({ maxStringLength: 10 });
+  assert.deepStrictEqual(parser.push('"'), []);
+  assert.throws(() => {
+    for (let i = 0; i < 20; i++) {
+      parser.push('x'.repeat(10 * 1024));
+    }
+  }, (e) => {
+    assert.strictEqual(e.kind, ErrorKind.MaxStringLengthExceeded);
+    assert.strictEqual(e.span.offset, 0);
+    return true;
+  });
+});
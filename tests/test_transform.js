@@ -0,0 +1,68 @@
+/**
+ * Reviver and Replacer Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseStr, parseStream, toStringCompact, toStringPretty, XString, Node } from '../src/index.js';
+
+class User {
+  constructor(fields) {
+    Object.assign(this, fields);
+  }
+}
+
+test('reviver turns tagged objects into instances', () => {
+  const calls = [];
+  const doc = parseStr('admins: [#user {name: "Ada"}], owner: #user {name: "Bob"}', {
+    reviver(key, node, path) {
+      calls.push([key, path.join('.')]);
+      return node.tags.some(tag => tag.name === 'user') ? new User(node.unwrap()) : node;
+    },
+  });
+  const root = doc.unwrap();
+  assert.ok(root.admins[0] instanceof User);
+  assert.strictEqual(root.owner.name, 'Bob');
+  assert.strictEqual(doc.get('owner').tags[0].name, 'user');
+  assert.deepStrictEqual(calls, [
+    ['name', 'admins.0.name'], [0, 'admins.0'], ['admins', 'admins'],
+    ['name', 'owner.name'], ['owner', 'owner'], ['', ''],
+  ]);
+});
+
+test('reviver drops values returning undefined', () => {
+  const drop = (key, node) => (key === 'secret' || node.unwrap() === 2n ? undefined : node);
+  assert.deepStrictEqual(parseStr('a: [1, 2, 3], secret: "x"', { reviver: drop }).unwrap(), { a: [1n, 3n] });
+  assert.deepStrictEqual(parseStr('1 2 3', { reviver: drop }).values.length, 2);
+  assert.throws(() => parseStr('a: 1', { reviver: 'nope' }), /Invalid reviver/);
+});
+
+test('reviver applies to streamed values', async () => {
+  const values = [];
+  for await (const node of parseStream(['1 2 ', '3'], { reviver: (key, node) => (node.unwrap() === 2n ? undefined : node) })) {
+    values.push(node.unwrap());
+  }
+  assert.deepStrictEqual(values, [1n, 3n]);
+});
+
+test('replacer strips and rewrites values without changing the document', () => {
+  const doc = parseStr('user: #user {name: "Ada", password: "x", age: 36}');
+  const replacer = (key, node) => {
+    if (key === 'password') return undefined;
+    if (key === 'name') return node.unwrap().toUpperCase();
+    return node;
+  };
+  assert.strictEqual(toStringCompact(doc, { replacer }), '{user:#user {name:"ADA",age:36}}');
+  assert.strictEqual(toStringCompact(doc), '{user:#user {name:"Ada",password:"x",age:36}}');
+  assert.strictEqual(toStringPretty(doc, { replacer: (key, node) => node }), toStringPretty(doc));
+});
+
+test('replacer converts plain values and accepts nodes', () => {
+  const doc = parseStr('a: 1, b: 2');
+  const replacer = (key, node) => {
+    if (key === 'a') return { nested: [true] };
+    if (key === 'b') return new Node([], [], new XString('two'));
+    return node;
+  };
+  assert.strictEqual(toStringCompact(doc, { replacer }), '{a:{nested:[true]},b:"two"}');
+});
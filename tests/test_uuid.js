@@ -0,0 +1,97 @@
+/**
+ * UUID Tests for xCDN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Uuid, NIL_UUID, MAX_UUID, uuidV4, uuidV7, parseStr, parseStream, toStringCompact, XCDNError, ErrorKind
+} from '../src/index.js';
+
+const V1 = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+const V4 = '550e8400-e29b-41d4-a716-446655440000';
+
+test('Uuid validates and lowercases', () => {
+  assert.strictEqual(new Uuid('550E8400-E29B-41D4-A716-446655440000').value, V4);
+  for (const [bad, index] of [['', 0], ['550e8400e29b-41d4-a716-446655440000', 8], [`${V4}0`, 36], ['550e8400-e29b-41d4-a716-44665544000z', 35]]) {
+    assert.throws(() => new Uuid(bad), (err) => err instanceof SyntaxError && err.index === index, bad);
+  }
+});
+
+test('Uuid exposes version and variant', () => {
+  assert.deepStrictEqual([new Uuid(V1).version, new Uuid(V1).variant], [1, 'rfc4122']);
+  assert.deepStrictEqual([new Uuid(V4).version, new Uuid(V4).variant], [4, 'rfc4122']);
+  assert.deepStrictEqual([new Uuid(NIL_UUID).version, new Uuid(NIL_UUID).variant], [0, 'ncs']);
+  assert.deepStrictEqual([new Uuid(MAX_UUID).version, new Uuid(MAX_UUID).variant], [15, 'future']);
+  assert.strictEqual(new Uuid('00000000-0000-0000-c000-000000000000').variant, 'microsoft');
+  assert.ok(new Uuid(NIL_UUID).isNil());
+  assert.ok(new Uuid(MAX_UUID.toUpperCase()).isMax());
+  assert.ok(!new Uuid(V4).isNil());
+});
+
+test('Uuid converts to and from bytes', () => {
+  const bytes = new Uuid(V4).toBytes();
+  assert.ok(bytes instanceof Uint8Array);
+  assert.deepStrictEqual([...bytes.subarray(0, 4)], [0x55, 0x0e, 0x84, 0x00]);
+  assert.strictEqual(bytes.length, 16);
+  assert.strictEqual(Uuid.fromBytes(bytes).value, V4);
+  assert.strictEqual(Uuid.fromBytes(Buffer.alloc(16, 0xff)).value, MAX_UUID);
+  assert.throws(() => Uuid.fromBytes(new Uint8Array(15)), TypeError);
+  assert.throws(() => Uuid.fromBytes([0, 1]), TypeError);
+});
+
+test('Uuid compares in byte order', () => {
+  assert.strictEqual(new Uuid(V4).compare(V4.toUpperCase()), 0);
+  assert.strictEqual(new Uuid(NIL_UUID).compare(new Uuid(V4)), -1);
+  assert.strictEqual(new Uuid(MAX_UUID).compare(V1), 1);
+  const sorted = [MAX_UUID, V4, NIL_UUID, V1].map(u => new Uuid(u)).sort((a, b) => a.compare(b));
+  assert.deepStrictEqual(sorted.map(String), [NIL_UUID, V4, V1, MAX_UUID]);
+});
+
+test('generated UUIDs have the right version and variant', () => {
+  for (const uuid of [Uuid.v4(), new Uuid(uuidV4())]) {
+    assert.deepStrictEqual([uuid.version, uuid.variant], [4, 'rfc4122']);
+  }
+  const time = Date.UTC(2030, 0, 1);
+  const v7 = new Uuid(uuidV7(time));
+  assert.deepStrictEqual([v7.version, v7.variant], [7, 'rfc4122']);
+  assert.strictEqual(parseInt(v7.value.slice(0, 8) + v7.value.slice(9, 13), 16), time);
+  assert.throws(() => uuidV7(-1), RangeError);
+});
+
+test('version 7 UUIDs sort in generation order', () => {
+  const generated = Array.from({ length: 200 }, () => Uuid.v7());
+  const sorted = [...generated].sort((a, b) => a.compare(b));
+  assert.deepStrictEqual(sorted, generated);
+  assert.strictEqual(new Set(generated.map(String)).size, generated.length);
+});
+
+test('uuidPolicy restricts parsed UUIDs', () => {
+  const only47 = { uuidPolicy: { versions: [4, 7] } };
+  assert.strictEqual(parseStr(`v: u"${V4}"`, only47).get('v').value.version, 4);
+  assert.throws(() => parseStr(`v: u"${V1}"`, only47), (err) => {
+    assert.ok(err instanceof XCDNError);
+    assert.strictEqual(err.kind, ErrorKind.InvalidUuid);
+    assert.strictEqual(err.span.column, 6);
+    assert.match(err.message, /version 1 not allowed/);
+    return true;
+  });
+  assert.doesNotThrow(() => parseStr(`v: u"${NIL_UUID}"`, only47));
+  assert.throws(() => parseStr(`v: u"${NIL_UUID}"`, { uuidPolicy: { allowNil: false } }), /nil UUID not allowed/);
+  assert.throws(() => parseStr(`v: u"${MAX_UUID}"`, { uuidPolicy: { allowMax: false } }), /max UUID not allowed/);
+  assert.throws(() => parseStr('v: 1', { uuidPolicy: { versions: 4 } }), /Invalid uuidPolicy/);
+});
+
+test('uuidPolicy applies to streams', async () => {
+  const values = [];
+  await assert.rejects(async () => {
+    for await (const node of parseStream([`u"${V4}" u"${V1}"`], { uuidPolicy: { versions: [4] } })) {
+      values.push(node.value.value);
+    }
+  }, (err) => err.kind === ErrorKind.InvalidUuid);
+  assert.deepStrictEqual(values, [V4]);
+});
+
+test('UUIDs serialize in lowercase', () => {
+  assert.strictEqual(toStringCompact(parseStr(`v: u"${V4.toUpperCase()}"`)), `{v:u"${V4}"}`);
+});